@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Prints Markdown patch notes for the difference between two versions of
+// items.csv (and, optionally, their items.json), using the same aggregation
+// as the web app's "What changed" view.
+//
+// Usage: node scripts/diff-data.js <old items.csv> [new items.csv]
+//                                   [old items.json] [new items.json]
+//
+// The new files default to the ones in the repository, so
+//   git show HEAD~1:items.csv > /tmp/old.csv && npm run diff -- /tmp/old.csv
+// describes the last commit's data changes.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { diffDatasets, diffToMarkdown, loadDataset } from "../src/index.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function main(argv) {
+  if (!argv[0]) {
+    console.error(
+      "Usage: node scripts/diff-data.js <old items.csv> [new items.csv] [old items.json] [new items.json]"
+    );
+    return 2;
+  }
+  const newCsvPath = path.resolve(argv[1] || path.join(ROOT, "items.csv"));
+  const newJsonPath = path.resolve(argv[3] || path.join(ROOT, "items.json"));
+  let before;
+  let after;
+  try {
+    const newJson = JSON.parse(fs.readFileSync(newJsonPath, "utf8"));
+    const oldJson = argv[2]
+      ? JSON.parse(fs.readFileSync(path.resolve(argv[2]), "utf8"))
+      : newJson;
+    before = loadDataset(
+      fs.readFileSync(path.resolve(argv[0]), "utf8"),
+      oldJson
+    );
+    after = loadDataset(fs.readFileSync(newCsvPath, "utf8"), newJson);
+  } catch (e) {
+    console.error(`Failed to read data files: ${e.message}`);
+    return 2;
+  }
+  process.stdout.write(
+    diffToMarkdown(diffDatasets(before, after), {
+      before: path.basename(argv[0]),
+      after: path.basename(newCsvPath),
+    })
+  );
+  return 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
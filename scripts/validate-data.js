@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+// Validates items.csv (and its items.json metadata and recipes.csv) using the
+// same parsing and aggregation code as the web app.
+//
+// Usage: node scripts/validate-data.js [items.csv] [items.json] [recipes.csv]
+//
+// Prints a report and exits with status 1 when any error is found, so data
+// pull requests can be checked before they are merged.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  aggregateItems,
+  buildJsonMap,
+  deriveQuestName,
+  isCommentRow,
+  parseCSV,
+  RECIPE_COLUMNS,
+  toObjects,
+} from "../src/index.js";
+import { RARITY_ALIASES, slugify } from "../src/text.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const REQUIRED_COLUMNS = [
+  "ItemID",
+  "Name",
+  "Quantity",
+  "Station",
+  "Tier",
+  "Source",
+];
+const KNOWN_STATIONS = new Set([
+  "Item",
+  "Quest",
+  "Explosives Bench",
+  "Gear Bench",
+  "Gunsmith",
+  "Medical Lab",
+  "Refiner",
+  "Scrappy",
+  "Utility Station",
+]);
+// Quests and multi-step projects are named in the Station column itself.
+const STATION_PATTERNS = [/^Quest: \S.*$/, /^[^:]+: (?:Part|Phase) \d+$/];
+const QUANTITY_PATTERN = /^\d+(?:\.\d+)?k?$/i;
+
+function isKnownStation(station) {
+  return (
+    KNOWN_STATIONS.has(station) ||
+    STATION_PATTERNS.some((pattern) => pattern.test(station))
+  );
+}
+
+export function validate(csvText, jsonData, recipesText = "") {
+  const errors = [];
+  const warnings = [];
+  const rows = parseCSV(csvText);
+  const header = rows[0] || [];
+
+  const missing = REQUIRED_COLUMNS.filter((col) => !header.includes(col));
+  missing.forEach((col) => errors.push(`missing required column "${col}"`));
+  if (missing.length) return { errors, warnings, rowCount: 0 };
+
+  const jsonMap = buildJsonMap(jsonData);
+
+  // Row-level checks run on the raw cells, before toObjects normalizes them.
+  const records = [];
+  rows.slice(1).forEach((row, index) => {
+    if (row.length === 1 && row[0].trim() === "") return;
+    if (isCommentRow(row)) return;
+    const record = {};
+    header.forEach((col, c) => {
+      record[col] = String(row[c] ?? "").trim();
+    });
+    const where = `row ${index + 2} (${record.ItemID || "no ItemID"})`;
+    records.push({ record, where });
+
+    if (row.length !== header.length) {
+      errors.push(
+        `${where}: has ${row.length} columns, header has ${header.length}`
+      );
+    }
+    ["ItemID", "Name", "Station", "Tier", "Source"].forEach((col) => {
+      if (!record[col]) errors.push(`${where}: empty ${col}`);
+    });
+    if (!QUANTITY_PATTERN.test(record.Quantity)) {
+      errors.push(`${where}: non-numeric Quantity "${record.Quantity}"`);
+    }
+    if (record.Tier && !/^\d+$/.test(record.Tier)) {
+      errors.push(`${where}: non-numeric Tier "${record.Tier}"`);
+    }
+    if (record.QuestOrder && !/^\d+$/.test(record.QuestOrder)) {
+      errors.push(`${where}: non-numeric QuestOrder "${record.QuestOrder}"`);
+    }
+    if (record.Station && !isKnownStation(record.Station)) {
+      errors.push(`${where}: unknown station "${record.Station}"`);
+    }
+    ["ArcRarity", "MetaRarity"].forEach((col) => {
+      if (record[col] && !RARITY_ALIASES[record[col].toLowerCase()]) {
+        errors.push(`${where}: unknown ${col} "${record[col]}"`);
+      }
+    });
+    if (
+      record.ArcRarity &&
+      record.MetaRarity &&
+      record.ArcRarity.toLowerCase() !== record.MetaRarity.toLowerCase()
+    ) {
+      errors.push(
+        `${where}: ArcRarity "${record.ArcRarity}" conflicts with MetaRarity "${record.MetaRarity}"`
+      );
+    }
+    if (
+      record.Source === "Quest" &&
+      !/^Quest: /.test(record.Station) &&
+      !record.QuestID
+    ) {
+      warnings.push(
+        `${where}: quest name is guessed from the ItemID; put it in Station as "Quest: <name>" or set QuestID`
+      );
+    }
+  });
+
+  const seenIds = new Map();
+  const seenUsage = new Map();
+  const rarities = new Map();
+  records.forEach(({ record, where }) => {
+    if (record.ItemID) {
+      if (seenIds.has(record.ItemID)) {
+        errors.push(
+          `${where}: duplicate ItemID (first used in ${seenIds.get(
+            record.ItemID
+          )})`
+        );
+      } else {
+        seenIds.set(record.ItemID, where);
+      }
+    }
+    // The same requirement may be repeated once per LocationType; anything
+    // else sharing a usage key is either a copy or a quantity conflict.
+    // Quests on a bare "Quest" station are told apart like aggregateItems
+    // does, by QuestID or the name guessed from the ItemID.
+    if (record.Station && record.Station !== "Item") {
+      const quest =
+        record.QuestID ||
+        (record.Station === "Quest"
+          ? deriveQuestName(
+              record.ItemID,
+              slugify(record.Name),
+              record.ArcID,
+              record.MetaID
+            )
+          : "");
+      const usageKey = [
+        record.Name.toLowerCase(),
+        record.Station,
+        record.Tier,
+        record.Source,
+        quest.toLowerCase(),
+      ].join("|");
+      const first = seenUsage.get(usageKey);
+      const label = `"${record.Name}" for ${record.Station} tier ${record.Tier}`;
+      if (!first) {
+        seenUsage.set(usageKey, { record, where });
+      } else if (first.record.Quantity !== record.Quantity) {
+        errors.push(
+          `${where}: conflicting quantities for ${label}: ${record.Quantity} here, ${first.record.Quantity} in ${first.where}`
+        );
+      } else if (first.record.LocationType === record.LocationType) {
+        errors.push(
+          `${where}: duplicate usage of ${label} (also ${first.where})`
+        );
+      }
+    }
+    const rarity = String(record.ArcRarity || record.MetaRarity || "").trim();
+    const name = record.Name.toLowerCase();
+    if (rarity && name) {
+      // "Rare" and "rare" (or an alias such as "Exotic") are the same rarity.
+      const key = RARITY_ALIASES[rarity.toLowerCase()] || rarity.toLowerCase();
+      if (!rarities.has(name)) rarities.set(name, new Map());
+      if (!rarities.get(name).has(key)) {
+        rarities.get(name).set(key, { rarity, where });
+      }
+    }
+  });
+  rarities.forEach((byRarity, name) => {
+    if (byRarity.size > 1) {
+      const listed = Array.from(
+        byRarity.values(),
+        ({ rarity, where }) => `${rarity} (${where})`
+      );
+      errors.push(`"${name}": conflicting rarities ${listed.join(", ")}`);
+    }
+  });
+
+  // Item-level checks on the aggregated data the app actually renders.
+  const items = aggregateItems(toObjects(rows), jsonMap);
+  const csvNames = new Set(items.map((item) => item._normName));
+  const looseName = (name) => name.replace(/[^a-z0-9]+/g, "").replace(/s$/, "");
+  const jsonByLooseName = new Map(
+    Array.from(jsonMap.values(), (meta) => [
+      looseName(meta.name.toLowerCase()),
+      meta.name,
+    ])
+  );
+  const withoutMetadata = [];
+  items.forEach((item) => {
+    if (!item._normName) return;
+    const meta = jsonMap.get(item._normName);
+    if (!meta) {
+      const closest = jsonByLooseName.get(looseName(item._normName));
+      if (closest) {
+        warnings.push(
+          `"${item.Name}": not in items.json, which has "${closest}"; the names must match exactly`
+        );
+      } else {
+        withoutMetadata.push(item.Name);
+      }
+      return;
+    }
+    const rarity = item.ArcRarity || item.MetaRarity;
+    if (
+      rarity &&
+      meta.rarity &&
+      rarity.toLowerCase() !== meta.rarity.toLowerCase()
+    ) {
+      warnings.push(
+        `"${item.Name}": rarity "${rarity}" differs from items.json "${meta.rarity}"`
+      );
+    }
+  });
+  // items.json is one page of a larger catalogue, so names missing from it
+  // are summarised rather than listed one warning at a time.
+  if (withoutMetadata.length) {
+    const page = jsonData?.pagination;
+    warnings.push(
+      `${withoutMetadata.length} CSV items have no items.json entry${
+        page
+          ? ` (items.json holds page ${page.page} of ${page.totalPages})`
+          : ""
+      }: ${withoutMetadata.join(", ")}`
+    );
+  }
+  const jsonOnly = Array.from(jsonMap.keys()).filter(
+    (name) => !csvNames.has(name)
+  ).length;
+  if (recipesText) {
+    validateRecipes(recipesText, (name) =>
+      Boolean(csvNames.has(name) || jsonMap.has(name))
+    ).forEach((problem) => errors.push(problem));
+  }
+
+  return {
+    errors,
+    warnings,
+    rowCount: records.length,
+    itemCount: items.length,
+    jsonCount: jsonMap.size,
+    jsonOnly,
+  };
+}
+
+// recipes.csv: required columns, numbers where numbers belong, bench names
+// from items.csv (or the basic Workbench), and ingredients the data knows.
+export function validateRecipes(recipesText, isKnownItem) {
+  const errors = [];
+  const rows = parseCSV(recipesText);
+  const header = (rows[0] || []).map((col) => col.trim());
+  const missing = RECIPE_COLUMNS.filter((col) => !header.includes(col));
+  if (missing.length) {
+    return missing.map((col) => `recipes: missing required column "${col}"`);
+  }
+  rows.slice(1).forEach((row, index) => {
+    if (row.length === 1 && row[0].trim() === "") return;
+    if (isCommentRow(row)) return;
+    const record = {};
+    header.forEach((col, c) => {
+      record[col] = String(row[c] ?? "").trim();
+    });
+    const where = `recipes row ${index + 2} (${record.Item || "no Item"})`;
+    ["Item", "Station", "Ingredient"].forEach((col) => {
+      if (!record[col]) errors.push(`${where}: empty ${col}`);
+    });
+    ["Quantity", "Yield", "Tier"].forEach((col) => {
+      if (record[col] && !/^\d+$/.test(record[col])) {
+        errors.push(`${where}: non-numeric ${col} "${record[col]}"`);
+      }
+    });
+    if (
+      record.Station &&
+      record.Station !== "Workbench" &&
+      !KNOWN_STATIONS.has(record.Station)
+    ) {
+      errors.push(`${where}: unknown station "${record.Station}"`);
+    }
+    if (record.Ingredient && !isKnownItem(record.Ingredient.toLowerCase())) {
+      errors.push(
+        `${where}: ingredient "${record.Ingredient}" is not in items.csv or items.json`
+      );
+    }
+  });
+  return errors;
+}
+
+function printReport(result, csvPath, jsonPath) {
+  const { errors, warnings } = result;
+  console.log(
+    `Validated ${path.relative(process.cwd(), csvPath)} (${
+      result.rowCount
+    } rows, ${result.itemCount || 0} items) against ${path.relative(
+      process.cwd(),
+      jsonPath
+    )} (${result.jsonCount || 0} items, ${
+      result.jsonOnly || 0
+    } not used by the CSV)\n`
+  );
+  const section = (title, lines) => {
+    if (!lines.length) return;
+    console.log(`${title} (${lines.length})`);
+    lines.forEach((line) => console.log(`  - ${line}`));
+    console.log("");
+  };
+  section("Errors", errors);
+  section("Warnings", warnings);
+  console.log(
+    errors.length
+      ? `FAILED: ${errors.length} error(s), ${warnings.length} warning(s).`
+      : `OK: no errors, ${warnings.length} warning(s).`
+  );
+}
+
+function main(argv) {
+  const csvPath = path.resolve(argv[0] || path.join(ROOT, "items.csv"));
+  const jsonPath = path.resolve(argv[1] || path.join(ROOT, "items.json"));
+  const recipesPath = path.resolve(argv[2] || path.join(ROOT, "recipes.csv"));
+  let csvText;
+  let jsonData;
+  let recipesText = "";
+  try {
+    csvText = fs.readFileSync(csvPath, "utf8");
+    jsonData = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    if (argv[2] || fs.existsSync(recipesPath)) {
+      recipesText = fs.readFileSync(recipesPath, "utf8");
+    }
+  } catch (e) {
+    console.error(`Failed to read data files: ${e.message}`);
+    return 2;
+  }
+  const result = validate(csvText, jsonData, recipesText);
+  printReport(result, csvPath, jsonPath);
+  return result.errors.length ? 1 : 0;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
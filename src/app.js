@@ -0,0 +1,2717 @@
+// Browser UI: renders the data set from ./index.js into index.html.
+
+import { normalizeQuantity, parseCSV, splitLocations } from "./csv.js";
+import {
+  SOURCED_FIELDS,
+  catalogueItems,
+  itemByName,
+  loadDataset,
+} from "./dataset.js";
+import {
+  describeFieldChange,
+  describeUsageChange,
+  diffDatasets,
+  diffToMarkdown,
+  isEmptyDiff,
+} from "./diff.js";
+import {
+  EXPORT_FORMATS,
+  SHOPPING_COLUMNS,
+  USAGE_COLUMNS,
+  shoppingRows,
+  usageRows,
+} from "./export.js";
+import {
+  FILTER_FACETS,
+  applyFilters,
+  facetCounts,
+  filterValueLabel,
+  parseFilterKey,
+} from "./filters.js";
+import {
+  LOCALES,
+  localizedDescription,
+  localizedName,
+  pickLocale,
+  translate,
+} from "./i18n.js";
+import {
+  buildMilestoneGroups,
+  buildShoppingList,
+  buildTimelines,
+  goalSteps,
+  milestoneForEntry,
+  primaryLocation,
+} from "./milestones.js";
+import {
+  QueryError,
+  nameHighlights,
+  parseQuery,
+  search,
+  searchIndex,
+} from "./search.js";
+import { isBenchUnlocked, planCrafting } from "./recipes.js";
+import { rankLocations } from "./routes.js";
+import {
+  adviseInventory,
+  parseStashText,
+  splitStack,
+  valueDensity,
+} from "./stash.js";
+import { compareByItemType, statEntries, statLabel } from "./stats.js";
+import {
+  formatCoins,
+  getRarityClass,
+  RARITY_MARKERS,
+  normalizeFilterValue,
+  slugify,
+  titleCase,
+} from "./text.js";
+
+let DATASET = loadDataset("", null);
+let dataLoaded = false;
+let dataUpdateAvailable = false;
+let loadFailed = false;
+// Active filters keyed by facet, see matchesFilters in filters.js.
+const activeFilters = new Map();
+let lastQuery = "";
+let triggerSearch = null;
+// Typing waits this long for the next key before searching.
+const SEARCH_DEBOUNCE_MS = 150;
+let searchTimer = 0;
+
+// The files fetched at startup, kept so imported CSVs can be merged in (or
+// removed again) without refetching. jsonPages holds every items.json page
+// that could be loaded; totalPages is how many the first page announces.
+let baseData = {
+  csvText: "",
+  jsonPages: [],
+  totalPages: 1,
+  recipesText: "",
+  translationsText: "",
+};
+
+// items.json is page 1 of the Metaforge export. Further pages shipped next
+// to it (items-page-2.json, ...) are listed here, and only these are
+// fetched; add them to JSON_PAGE_FILES in sw.js as well so they are cached
+// for offline use and refreshed in the background.
+const JSON_PAGE_FILES = [];
+
+async function fetchJsonPages(first) {
+  const totalPages = Number(first?.pagination?.totalPages) || 1;
+  const rest = await Promise.all(
+    JSON_PAGE_FILES.map((file) =>
+      fetch(file)
+        .then((res) => (res.ok ? res.json() : null))
+        .catch(() => null)
+    )
+  );
+  return { jsonPages: [first, ...rest.filter(Boolean)], totalPages };
+}
+
+function rebuildDataset() {
+  DATASET = loadDataset(
+    [{ name: "items.csv", text: baseData.csvText }, ...importedSources],
+    baseData.jsonPages,
+    baseData.recipesText,
+    baseData.translationsText
+  );
+  // Index now so the first search doesn't pay for it.
+  searchIndex(DATASET.items);
+  // The Crafting tab waits until recipes.csv has rows.
+  const craftingTab = document.querySelector('.view-tab[data-view="crafting"]');
+  if (craftingTab) craftingTab.hidden = DATASET.recipes.length === 0;
+}
+
+async function loadData() {
+  const [csvRes, jsonRes, recipesRes, translationsRes] = await Promise.all([
+    fetch("items.csv"),
+    fetch("items.json"),
+    // Recipes and translations are optional; without them the crafting
+    // panels stay empty and item names stay in English.
+    fetch("recipes.csv").catch(() => null),
+    fetch("translations.csv").catch(() => null),
+  ]);
+
+  if (!csvRes.ok)
+    throw new Error(t("loadFailed", { file: "CSV", status: csvRes.status }));
+  if (!jsonRes.ok)
+    throw new Error(t("loadFailed", { file: "JSON", status: jsonRes.status }));
+
+  const [csvText, jsonData, recipesText, translationsText] = await Promise.all([
+    csvRes.text(),
+    jsonRes.json(),
+    recipesRes?.ok ? recipesRes.text() : "",
+    translationsRes?.ok ? translationsRes.text() : "",
+  ]);
+
+  baseData = {
+    csvText,
+    ...(await fetchJsonPages(jsonData)),
+    recipesText,
+    translationsText,
+  };
+  rebuildDataset();
+}
+
+function renderDataStatus() {
+  const el = document.getElementById("data-status");
+  if (!el) return;
+  el.innerHTML = "";
+  const parts = [];
+  if (DATASET.asOf) {
+    parts.push(
+      t("dataAsOf", {
+        date: DATASET.asOf.toLocaleDateString(locale, {
+          year: "numeric",
+          month: "short",
+          day: "numeric",
+        }),
+      })
+    );
+  }
+  if (!navigator.onLine) parts.push(t("offline"));
+  el.textContent = parts.join(" · ");
+  if (dataUpdateAvailable) {
+    const notice = document.createElement("span");
+    notice.textContent = `${parts.length ? " · " : ""}${t("newerData")} `;
+    const reload = document.createElement("button");
+    reload.type = "button";
+    reload.className = "badge";
+    reload.textContent = t("reload");
+    reload.addEventListener("click", () => location.reload());
+    el.append(notice, reload);
+  }
+  if (dataLoaded) el.appendChild(renderDataSources());
+}
+
+// Lists the loaded data files, with a Remove button per imported CSV and a
+// picker for more (CSVs can also be dropped anywhere on the page).
+function renderDataSources() {
+  const line = document.createElement("div");
+  line.className = "data-sources";
+  const pages = baseData.jsonPages.length;
+  line.append(
+    t("sources", {
+      files: `items.csv, items.json${
+        baseData.totalPages > 1
+          ? ` ${t("sourcePages", { pages, total: baseData.totalPages })}`
+          : ""
+      }`,
+    })
+  );
+  importedSources.forEach((source) => {
+    line.append(", ");
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "badge";
+    remove.textContent = `${source.name} ×`;
+    remove.title = t("removeSource", { name: source.name });
+    remove.addEventListener("click", () => removeImport(source.name));
+    line.appendChild(remove);
+  });
+  line.append(" ");
+  const picker = document.createElement("label");
+  picker.className = "badge";
+  picker.textContent = t("importCsv");
+  picker.title = t("importCsvTitle");
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".csv,text/csv";
+  input.multiple = true;
+  input.hidden = true;
+  input.addEventListener("change", () => importCsvFiles(input.files));
+  picker.appendChild(input);
+  line.appendChild(picker);
+  return line;
+}
+
+// Caches the app for offline use; sw.js reports when it has fetched data
+// files that differ from the cached copies.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "data-updated") {
+      dataUpdateAvailable = true;
+      renderDataStatus();
+    }
+  });
+  navigator.serviceWorker.register("sw.js").catch(() => {});
+}
+
+// Reads text out through the polite live region next to the results.
+function announce(text) {
+  const statusEl = document.getElementById("results-status");
+  if (statusEl && statusEl.textContent !== text) statusEl.textContent = text;
+}
+
+function setResultsMessage(text, type = "") {
+  const resultsEl = document.getElementById("results");
+  if (!resultsEl) return;
+  resultsEl.innerHTML = "";
+  resultsWindow.list = [];
+  resultsWindow.listEl = null;
+  announce(text);
+  if (!text) return;
+  const div = document.createElement("div");
+  div.className = `empty${type ? ` ${type}` : ""}`;
+  div.textContent = text;
+  resultsEl.appendChild(div);
+}
+
+// Shape drawn before rarity-coloured names, so rarity does not depend on
+// telling the colours apart. Hidden from screen readers, which get the
+// rarity as text instead.
+function rarityMarker(rarityClass) {
+  const symbol = RARITY_MARKERS[rarityClass];
+  if (!symbol) return null;
+  const marker = document.createElement("span");
+  marker.className = "rarity-marker";
+  marker.setAttribute("aria-hidden", "true");
+  marker.textContent = symbol;
+  return marker;
+}
+
+// Fills el with text, wrapping the given [start, end) ranges in <mark>.
+function renderHighlighted(el, text, ranges) {
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > pos)
+      el.appendChild(document.createTextNode(text.slice(pos, start)));
+    const mark = document.createElement("mark");
+    mark.textContent = text.slice(start, end);
+    el.appendChild(mark);
+    pos = end;
+  });
+  if (pos < text.length)
+    el.appendChild(document.createTextNode(text.slice(pos)));
+}
+
+// The results list is virtualized: only the cards in and near the viewport
+// are in the DOM, and the list's top and bottom padding stand in for the
+// rest. Card heights are measured once drawn; cards not drawn yet count as
+// the average measured height.
+const RESULT_ESTIMATED_HEIGHT = 320;
+const RESULT_GAP = 14;
+const RESULT_OVERSCAN = 4;
+const resultsWindow = {
+  list: [],
+  terms: [],
+  listEl: null,
+  heights: new Map(),
+  frame: 0,
+};
+
+function renderResults(list, q) {
+  setResultsMessage("");
+  document.body.classList.toggle("search-active", Boolean(q.trim()));
+
+  if (list.length === 0) {
+    setResultsMessage(
+      q.trim() ? t("noMatches", { query: q }) : t("noFilterMatches"),
+      "error"
+    );
+    return;
+  }
+
+  announce(t("resultsCount", { count: list.length }));
+  const listEl = document.createElement("ul");
+  listEl.className = "results-list";
+  document.getElementById("results").appendChild(listEl);
+  resultsWindow.list = list;
+  // doSearch has already parsed q, so this does not throw.
+  resultsWindow.terms = parseQuery(q).terms;
+  resultsWindow.listEl = listEl;
+  renderResultsWindow();
+}
+
+// Top offset of every result in the list, plus the total height at the end.
+function resultOffsets() {
+  const { list, heights } = resultsWindow;
+  let measured = 0;
+  heights.forEach((height) => (measured += height));
+  const estimate = heights.size
+    ? measured / heights.size
+    : RESULT_ESTIMATED_HEIGHT + RESULT_GAP;
+  const offsets = [0];
+  list.forEach((item, i) => {
+    offsets.push(offsets[i] + (heights.get(item._normName) ?? estimate));
+  });
+  return offsets;
+}
+
+// Draws the cards that overlap the viewport, keeping the ones already drawn.
+// `anchor` is a result index that must be among them (for keyboard focus).
+function renderResultsWindow(anchor = -1) {
+  const { list, listEl, heights } = resultsWindow;
+  if (!listEl?.isConnected) return;
+  const offsets = resultOffsets();
+  const viewTop = Math.max(0, -listEl.getBoundingClientRect().top);
+  const viewBottom = viewTop + (window.innerHeight || 800);
+  let start = offsets.findIndex((_, i) => offsets[i + 1] > viewTop);
+  let end = offsets.findIndex((offset) => offset >= viewBottom);
+  if (start < 0) start = list.length - 1;
+  if (end < 0) end = list.length;
+  start = Math.max(0, start - RESULT_OVERSCAN);
+  end = Math.min(list.length, Math.max(end, start + 1) + RESULT_OVERSCAN);
+  if (anchor >= 0 && (anchor < start || anchor >= end)) {
+    start = Math.max(0, anchor - RESULT_OVERSCAN);
+    end = Math.min(list.length, anchor + RESULT_OVERSCAN + 1);
+  }
+
+  Array.from(listEl.children).forEach((card) => {
+    const index = Number(card.dataset.index);
+    if (index < start || index >= end) card.remove();
+  });
+  const drawn = Array.from(listEl.children);
+  const first = drawn.length ? Number(drawn[0].dataset.index) : end;
+  const last = drawn.length
+    ? Number(drawn[drawn.length - 1].dataset.index)
+    : end - 1;
+  for (let i = start; i < first; i++) {
+    listEl.insertBefore(renderResultCard(list[i], i), drawn[0] || null);
+  }
+  for (let i = Math.max(start, last + 1); i < end; i++) {
+    listEl.appendChild(renderResultCard(list[i], i));
+  }
+  listEl.style.paddingTop = `${offsets[start]}px`;
+  listEl.style.paddingBottom = `${offsets[list.length] - offsets[end]}px`;
+
+  Array.from(listEl.children).forEach((card) => {
+    if (card.offsetHeight) {
+      heights.set(card.dataset.item, card.offsetHeight + RESULT_GAP);
+    }
+  });
+}
+
+function scheduleResultsWindow() {
+  if (resultsWindow.frame || !resultsWindow.listEl) return;
+  resultsWindow.frame = requestAnimationFrame(() => {
+    resultsWindow.frame = 0;
+    renderResultsWindow();
+  });
+}
+
+// Draws result `index` if needed, scrolls it into view and returns its card.
+function revealResult(index) {
+  const { list, listEl } = resultsWindow;
+  if (!listEl?.isConnected || index < 0 || index >= list.length) return null;
+  renderResultsWindow(index);
+  const card = listEl.querySelector(`[data-index="${index}"]`);
+  card?.scrollIntoView?.({ block: "nearest" });
+  return card;
+}
+
+function renderResultCard(r, index) {
+  const terms = resultsWindow.terms;
+  const div = document.createElement("li");
+  div.className = "result";
+  div.dataset.item = r._normName;
+  div.dataset.index = index;
+  div.setAttribute("aria-setsize", resultsWindow.list.length);
+  div.setAttribute("aria-posinset", index + 1);
+  div.classList.toggle(
+    "result-focused",
+    Boolean(focusedItem) && r._normName === focusedItem
+  );
+  div.tabIndex = 0;
+  const rarityKey = String(r.ArcRarity || r.MetaRarity || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+  if (rarityKey) {
+    div.classList.add(`rarity-${rarityKey}`);
+  } else {
+    const tierValue = Number.parseInt(r.Tier, 10);
+    div.classList.add(
+      Number.isFinite(tierValue) ? `tier-${tierValue}` : "tier-0"
+    );
+  }
+  const content = document.createElement("div");
+  content.className = "result-body";
+
+  // New Header Layout
+  const header = document.createElement("div");
+  header.className = "result-header";
+
+  if (r.IconURL) {
+    const iconContainer = document.createElement("div");
+    iconContainer.className = "result-icon";
+    const icon = document.createElement("img");
+    const cleanUrl = r.IconURL.replace(/^http:/, "https:");
+    icon.src = cleanUrl;
+    icon.alt = localizedName(r, locale);
+    iconContainer.appendChild(icon);
+    header.appendChild(iconContainer);
+  }
+
+  const headerContent = document.createElement("div");
+  headerContent.className = "result-header-content";
+
+  const title = document.createElement("strong");
+  const name = localizedName(r, locale);
+  if (name) renderHighlighted(title, name, nameHighlights(name, terms));
+  else title.textContent = t("unknownItem");
+  headerContent.appendChild(title);
+  if (name !== r.Name) {
+    const original = document.createElement("span");
+    original.className = "muted result-original";
+    original.lang = "en";
+    renderHighlighted(original, r.Name, nameHighlights(r.Name, terms));
+    headerContent.appendChild(original);
+  }
+
+  const linkButton = document.createElement("button");
+  linkButton.type = "button";
+  linkButton.className = "result-link";
+  linkButton.textContent = t("link");
+  linkButton.title = t("linkTitle");
+  linkButton.addEventListener("click", () => {
+    focusItem(r);
+    linkButton.textContent = t("linkCopied");
+  });
+  header.appendChild(linkButton);
+
+  const detailButton = document.createElement("button");
+  detailButton.type = "button";
+  detailButton.className = "result-link";
+  detailButton.textContent = t("details");
+  detailButton.title = t("detailsTitle");
+  detailButton.addEventListener("click", () => openItemDetail(r));
+  header.appendChild(detailButton);
+
+  const select = document.createElement("label");
+  select.className = "result-link result-select";
+  select.title = t("selectTitle");
+  const selectBox = document.createElement("input");
+  selectBox.type = "checkbox";
+  selectBox.checked = exportSelection.has(r._normName);
+  selectBox.addEventListener("change", () => {
+    if (selectBox.checked) exportSelection.add(r._normName);
+    else exportSelection.delete(r._normName);
+    renderExportBar();
+  });
+  select.append(selectBox, ` ${t("select")}`);
+  header.appendChild(select);
+
+  const badges = document.createElement("div");
+  badges.className = "badges";
+  const badgeSet = new Set();
+  const addBadge = (text, keyType, rawValue = text) => {
+    if (!text) return;
+    const key = keyType
+      ? `${keyType}:${normalizeFilterValue(rawValue ?? text)}`
+      : "";
+    const dedupeKey = text.trim().toLowerCase();
+    if (badgeSet.has(dedupeKey)) return;
+    badgeSet.add(dedupeKey);
+    const badge = document.createElement("button");
+    badge.type = "button";
+    badge.className = "badge";
+    badge.textContent = text;
+    if (key) {
+      badge.dataset.filterKey = key;
+      if (isFilterActive(key)) badge.classList.add("badge-active");
+      badge.addEventListener("click", () => toggleFilter(key));
+    }
+    badges.appendChild(badge);
+    return badge;
+  };
+  const rarityLabel = r.ArcRarity || r.MetaRarity;
+  if (rarityLabel) {
+    const rarityBadge = addBadge(rarityLabel, "rarity", rarityLabel);
+    const rarityClass = getRarityClass(rarityLabel);
+    if (rarityBadge && rarityClass) {
+      rarityBadge.classList.add("badge-rarity", `badge-rarity-${rarityClass}`);
+      const marker = rarityMarker(rarityClass);
+      if (marker) rarityBadge.prepend(marker);
+    }
+  }
+  const locations = r.ArcFoundIn
+    ? splitLocations(r.ArcFoundIn)
+    : r.LocationList?.length
+    ? r.LocationList
+    : [r.LocationType];
+  locations.forEach((loc) => addBadge(loc, "location", loc));
+  const arcValueNum = Number(r.ArcValue);
+  if (Number.isFinite(arcValueNum) && arcValueNum > 0) {
+    addBadge(`₳${arcValueNum.toLocaleString(locale)}`, "value", arcValueNum);
+  } else if (r.ArcValue) {
+    addBadge(r.ArcValue, "value", r.ArcValue);
+  }
+  headerContent.appendChild(badges);
+  header.appendChild(headerContent);
+  content.appendChild(header);
+
+  const description = localizedDescription(r, locale);
+  if (description) {
+    const desc = document.createElement("p");
+    desc.className = "description";
+    desc.textContent = description;
+    content.appendChild(desc);
+  }
+  renderRecycling(r).forEach((line) => content.appendChild(line));
+  renderRecipes(r).forEach((line) => content.appendChild(line));
+
+  const usageEntries = outstandingUsage(r);
+  const completedCount = (r.UsageEntries?.length || 0) - usageEntries.length;
+  const hasUsage = usageEntries.length > 0;
+  const advisory = document.createElement("div");
+  advisory.className = `usage ${hasUsage ? "required" : "optional"}`;
+  const usageTitle = document.createElement("div");
+  usageTitle.className = "usage-title";
+
+  if (hasUsage) {
+    const keep = requiredQuantity(r);
+    usageTitle.textContent =
+      keep > 0 ? t("requiredKeep", { count: keep }) : t("required");
+    advisory.appendChild(usageTitle);
+
+    const usageList = document.createElement("ul");
+    usageList.className = "usage-list";
+    usageEntries.forEach((entry) => {
+      const li = document.createElement("li");
+      const stationLower = String(entry.station || "").toLowerCase();
+      const sourceLower = String(entry.source || "").toLowerCase();
+      const isQuestRequirement =
+        stationLower === "quest" ||
+        sourceLower === "quest" ||
+        Boolean(entry.questName);
+      const isExpeditionRequirement = stationLower.startsWith("expedition");
+      const rawTier = String(entry.tier || "").trim();
+      const hideTier = !rawTier || rawTier === "0";
+      const tierText = hideTier ? "" : t("tier", { tier: rawTier });
+      const baseStationLabel = String(entry.station || "")
+        .trim()
+        .replace(/:$/, "");
+      const heading = isQuestRequirement
+        ? t("quest", { name: entry.questName || t("unknownQuest") })
+        : baseStationLabel && tierText
+        ? `${baseStationLabel}: ${tierText}`
+        : baseStationLabel || tierText || t("upgradeRequirement");
+      const headingEl = document.createElement("div");
+      headingEl.textContent = heading;
+      li.appendChild(headingEl);
+
+      const hasNumericQuantity = Number.isFinite(entry.quantity);
+      let showQuantity = null;
+      if (hasNumericQuantity && entry.quantity > 0) {
+        showQuantity = entry.quantity;
+      } else if (isQuestRequirement || isExpeditionRequirement) {
+        showQuantity = hasNumericQuantity ? entry.quantity : 0;
+      }
+      if (showQuantity !== null) {
+        const qtyLine = document.createElement("div");
+        qtyLine.textContent = t("quantity", { count: showQuantity });
+        li.appendChild(qtyLine);
+      }
+      const shouldShowSource =
+        !isQuestRequirement &&
+        !isExpeditionRequirement &&
+        entry.source &&
+        entry.source !== "Item";
+      if (shouldShowSource) {
+        const srcLine = document.createElement("div");
+        srcLine.textContent = t("source", { source: entry.source });
+        li.appendChild(srcLine);
+      }
+      const milestone = milestoneForEntry(entry);
+      const doneButton = document.createElement("button");
+      doneButton.type = "button";
+      doneButton.className = "usage-done";
+      doneButton.textContent = t("markDone");
+      doneButton.title = t("markDoneTitle", {
+        milestone: milestoneLabel(milestone),
+      });
+      doneButton.addEventListener("click", () =>
+        setMilestoneComplete(milestone.key, true)
+      );
+      li.appendChild(doneButton);
+      usageList.appendChild(li);
+    });
+    advisory.appendChild(usageList);
+    if (completedCount > 0) {
+      const hiddenNote = document.createElement("p");
+      hiddenNote.className = "muted usage-note";
+      hiddenNote.textContent = t("completedHidden", {
+        count: completedCount,
+      });
+      advisory.appendChild(hiddenNote);
+    }
+  } else {
+    usageTitle.textContent =
+      completedCount > 0 ? t("allCompleted") : t("notListed");
+    advisory.appendChild(usageTitle);
+    const safeMsg = document.createElement("p");
+    const saleValue = Number(r.ArcValue);
+    const saleText =
+      Number.isFinite(saleValue) && saleValue > 0
+        ? `₳${saleValue.toLocaleString(locale)}`
+        : r.ArcValue || t("listedValue");
+    safeMsg.textContent = t(completedCount > 0 ? "safeDone" : "safeNotListed", {
+      value: saleText,
+    });
+    advisory.appendChild(safeMsg);
+  }
+
+  content.appendChild(advisory);
+  content.appendChild(renderStashControl(r));
+
+  div.appendChild(content);
+  return div;
+}
+
+function syncUI() {
+  const container = document.querySelector(".container");
+  const input = document.getElementById("q");
+  if (!container || !input) return;
+  const active = input.value.trim().length > 0 || activeFilters.size > 0;
+  container.classList.toggle("compact", active);
+  document.body.classList.toggle("top-align", active);
+}
+
+function isFilterActive(key) {
+  const { facet, value } = parseFilterKey(key);
+  return Boolean(activeFilters.get(facet)?.values.has(value));
+}
+
+function setFilterActive(key, active) {
+  const { facet, value } = parseFilterKey(key);
+  if (!facet || !value) return;
+  let filter = activeFilters.get(facet);
+  if (!filter) {
+    filter = { mode: "any", values: new Set() };
+    activeFilters.set(facet, filter);
+  }
+  if (active) filter.values.add(value);
+  else filter.values.delete(value);
+  if (filter.values.size === 0) activeFilters.delete(facet);
+}
+
+function toggleFilter(key) {
+  setFilterActive(key, !isFilterActive(key));
+  refreshResults();
+}
+
+// Re-runs the search after a card's own button changed the results, and
+// puts keyboard focus back on that card and button. A card that dropped
+// out of the results hands focus to the one now in its place; a button that
+// is gone, to the card's next button of the same kind or the card itself.
+function refreshResults() {
+  if (typeof triggerSearch !== "function") return;
+  const active = document.activeElement;
+  const card = active?.closest?.("#results .result");
+  if (!card) {
+    triggerSearch();
+    return;
+  }
+  const { filterKey } = active.dataset;
+  const sameControl = (el) =>
+    filterKey
+      ? el.dataset.filterKey === filterKey
+      : el.className === active.className;
+  const controls = (root) =>
+    Array.from(root.querySelectorAll(active.tagName)).filter(sameControl);
+  const position = controls(card).indexOf(active);
+  const index = Number(card.dataset.index);
+  const itemKey = card.dataset.item;
+
+  triggerSearch();
+
+  const { list } = resultsWindow;
+  if (!list.length) {
+    document.getElementById("q")?.focus();
+    return;
+  }
+  const found = list.findIndex((item) => item._normName === itemKey);
+  const target = revealResult(
+    found >= 0 ? found : Math.min(index, list.length - 1)
+  );
+  if (!target) return;
+  const matches = position >= 0 ? controls(target) : [];
+  (matches[Math.min(position, matches.length - 1)] || target).focus();
+}
+
+function setFilterMode(facet, mode) {
+  const filter = activeFilters.get(facet);
+  if (!filter) return;
+  filter.mode = mode;
+  if (typeof triggerSearch === "function") triggerSearch();
+}
+
+function clearFilters() {
+  activeFilters.clear();
+  if (typeof triggerSearch === "function") triggerSearch();
+}
+
+function renderFilterBar(list) {
+  const bar = document.getElementById("filter-bar");
+  if (!bar) return;
+  bar.innerHTML = "";
+
+  for (const [facet, filter] of activeFilters) {
+    const facetLabel = FILTER_FACETS.some((f) => f.key === facet)
+      ? t(`facet.${facet}`)
+      : titleCase(facet);
+    filter.values.forEach((value) => {
+      const chip = document.createElement("button");
+      chip.type = "button";
+      chip.className = "badge badge-active filter-chip";
+      chip.textContent = `${facetLabel}: ${filterValueLabel(facet, value)} ×`;
+      chip.title = t("removeFilter");
+      chip.addEventListener("click", () => toggleFilter(`${facet}:${value}`));
+      bar.appendChild(chip);
+    });
+    if (filter.values.size > 1) {
+      const mode = document.createElement("button");
+      mode.type = "button";
+      mode.className = "badge filter-mode";
+      mode.textContent = `${facetLabel}: ${t(`match.${filter.mode}`)}`;
+      mode.title = t("matchTitle");
+      mode.addEventListener("click", () =>
+        setFilterMode(facet, filter.mode === "all" ? "any" : "all")
+      );
+      bar.appendChild(mode);
+    }
+  }
+
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", t("addFilter"));
+  select.add(new Option(t("addFilterOption"), ""));
+  FILTER_FACETS.forEach(({ key: facet }) => {
+    const counts = facetCounts(list, facet, activeFilters);
+    const values = Array.from(counts.keys())
+      .filter((value) => !isFilterActive(`${facet}:${value}`))
+      .sort((a, b) =>
+        filterValueLabel(facet, a).localeCompare(filterValueLabel(facet, b))
+      );
+    if (values.length === 0) return;
+    const group = document.createElement("optgroup");
+    group.label = t(`facet.${facet}`);
+    values.forEach((value) =>
+      group.appendChild(
+        new Option(
+          `${filterValueLabel(facet, value)} (${counts.get(value)})`,
+          `${facet}:${value}`
+        )
+      )
+    );
+    select.appendChild(group);
+  });
+  select.addEventListener("change", () => {
+    if (select.value) toggleFilter(select.value);
+  });
+  bar.appendChild(select);
+
+  if (activeFilters.size > 0) {
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "badge filter-clear";
+    clear.textContent = t("clearFilters");
+    clear.addEventListener("click", clearFilters);
+    bar.appendChild(clear);
+  }
+}
+
+// Upgrade progress: station tiers, quests and project steps the player has
+// already finished. Stored in localStorage so it survives reloads.
+const STORAGE_PREFIX = "arc-upgrades:";
+
+function readStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+function writeStored(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    // storage disabled or full; progress just won't persist
+  }
+}
+
+// UI language: the saved choice, else the browser's first supported one.
+let locale =
+  readStored("locale", "") ||
+  pickLocale(navigator.languages || [navigator.language]);
+
+function t(key, params) {
+  return translate(locale, key, params);
+}
+
+// Translates the static page text: elements with data-i18n (text content)
+// or data-i18n-placeholder / data-i18n-label (placeholder / aria-label).
+function applyStaticTranslations() {
+  document.documentElement.lang = locale;
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-placeholder]").forEach((el) => {
+    el.placeholder = t(el.dataset.i18nPlaceholder);
+  });
+  document.querySelectorAll("[data-i18n-label]").forEach((el) => {
+    el.setAttribute("aria-label", t(el.dataset.i18nLabel));
+  });
+}
+
+function setLocale(code) {
+  if (!LOCALES[code]) return;
+  locale = code;
+  writeStored("locale", code);
+  applyStaticTranslations();
+  renderDataStatus();
+  renderItemDetail();
+  renderActiveView();
+  if (typeof triggerSearch === "function") triggerSearch();
+}
+
+function renderLocaleSwitcher() {
+  const select = document.getElementById("locale");
+  if (!select) return;
+  select.innerHTML = "";
+  Object.entries(LOCALES).forEach(([code, label]) => {
+    const option = new Option(label, code);
+    option.lang = code;
+    select.add(option);
+  });
+  select.value = locale;
+  select.addEventListener("change", () => setLocale(select.value));
+}
+
+// CSVs the user imported on top of items.csv, [{ name, text }]. Later
+// imports win over earlier ones and over items.csv (see loadDataset).
+let importedSources = readStored("imports", []);
+
+function applyImports(problem = "") {
+  writeStored("imports", importedSources);
+  rebuildDataset();
+  if (detailItem) detailItem = itemByName(DATASET, detailItem.Name);
+  renderItemDetail();
+  renderDataStatus();
+  renderActiveView();
+  if (typeof triggerSearch === "function") triggerSearch();
+  if (problem) setResultsMessage(problem, "error");
+}
+
+async function importCsvFiles(files) {
+  const problems = [];
+  for (const file of Array.from(files || [])) {
+    if (!/\.csv$/i.test(file.name)) {
+      problems.push(t("notCsv", { name: file.name }));
+      continue;
+    }
+    const text = await file.text();
+    const header = (parseCSV(text)[0] || []).map((col) => col.trim());
+    if (!header.includes("Name")) {
+      problems.push(t("noNameColumn", { name: file.name }));
+      continue;
+    }
+    importedSources = [
+      ...importedSources.filter((source) => source.name !== file.name),
+      { name: file.name, text },
+    ];
+  }
+  applyImports(problems.join("; "));
+}
+
+function removeImport(name) {
+  importedSources = importedSources.filter((source) => source.name !== name);
+  applyImports();
+}
+
+let completedMilestones = new Set(readStored("completed", []));
+
+function isMilestoneComplete(key) {
+  return completedMilestones.has(key);
+}
+
+function setMilestoneComplete(key, done) {
+  if (done) completedMilestones.add(key);
+  else completedMilestones.delete(key);
+  writeStored("completed", Array.from(completedMilestones));
+  refreshResults();
+  renderActiveView();
+}
+
+// Quests used to be keyed by their lower-cased name. Progress and the
+// shopping goal saved that way move over to the QuestID key.
+function migrateQuestKeys() {
+  let changed = false;
+  DATASET.items.forEach((item) =>
+    item.UsageEntries.forEach((entry) => {
+      if (!entry.questId) return;
+      const legacy = `quest:${normalizeFilterValue(entry.questName)}`;
+      const { key } = milestoneForEntry(entry);
+      if (legacy === key) return;
+      if (completedMilestones.delete(legacy)) {
+        completedMilestones.add(key);
+        changed = true;
+      }
+      if (shoppingGoal.step === legacy) {
+        shoppingGoal = { ...shoppingGoal, step: key };
+        writeStored("shopping-goal", shoppingGoal);
+      }
+    })
+  );
+  if (changed) {
+    writeStored("completed", Array.from(completedMilestones));
+  }
+}
+
+// Display names for milestones and their groups: quest labels are built
+// from the quest name so that the "Quest:" prefix is translated.
+function milestoneLabel(milestone) {
+  return milestone.questName
+    ? t("quest", { name: milestone.questName })
+    : milestone.label;
+}
+
+function groupLabel(group) {
+  return group.kind === "quest" ? t("quests") : group.name;
+}
+
+function outstandingUsage(item) {
+  return (item.UsageEntries || []).filter(
+    (entry) => !isMilestoneComplete(milestoneForEntry(entry).key)
+  );
+}
+
+function renderProgressView() {
+  const el = document.getElementById("progress");
+  if (!el) return;
+  el.innerHTML = "";
+  const groups = buildMilestoneGroups(DATASET.items);
+  const total = groups.reduce((sum, g) => sum + g.steps.length, 0);
+  const done = groups.reduce(
+    (sum, g) => sum + g.steps.filter((s) => isMilestoneComplete(s.key)).length,
+    0
+  );
+
+  const summary = document.createElement("p");
+  summary.className = "muted";
+  summary.textContent = t("milestonesComplete", { done, total });
+  el.appendChild(summary);
+
+  groups.forEach((group) => {
+    const fieldset = document.createElement("fieldset");
+    fieldset.className = "progress-group";
+    const legend = document.createElement("legend");
+    legend.textContent = groupLabel(group);
+    fieldset.appendChild(legend);
+
+    group.steps.forEach((step) => {
+      const label = document.createElement("label");
+      label.className = "progress-step";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = isMilestoneComplete(step.key);
+      checkbox.addEventListener("change", () =>
+        setMilestoneComplete(step.key, checkbox.checked)
+      );
+      label.appendChild(checkbox);
+      const text = document.createElement("span");
+      text.textContent = `${milestoneLabel(step)} (${t("itemCount", {
+        count: step.items.length,
+      })})`;
+      label.appendChild(text);
+      fieldset.appendChild(label);
+    });
+    el.appendChild(fieldset);
+  });
+}
+
+// Timelines: every project and the quest chain step by step, with what
+// each step needs and how much of it the stash already covers.
+function renderTimelineView() {
+  const el = document.getElementById("timeline");
+  if (!el) return;
+  el.innerHTML = "";
+  const timelines = buildTimelines(
+    DATASET.items,
+    isMilestoneComplete,
+    getStashCount
+  );
+  const status = document.createElement("p");
+  status.className = "muted";
+  status.textContent = timelines.length ? t("timelineHint") : t("noTimelines");
+  el.appendChild(status);
+
+  timelines.forEach((timeline) => {
+    const section = document.createElement("section");
+    section.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = `${groupLabel(timeline)} — ${t("stepsDone", {
+      done: timeline.stepsDone,
+      count: timeline.steps.length,
+    })}`;
+    section.appendChild(heading);
+    const meter = document.createElement("progress");
+    meter.max = timeline.units || 1;
+    meter.value = timeline.collected;
+    const collected = t("collected", {
+      collected: timeline.collected,
+      count: timeline.units,
+    });
+    meter.textContent = `${timeline.collected}/${timeline.units}`;
+    meter.setAttribute("aria-label", `${groupLabel(timeline)}: ${collected}`);
+    const total = document.createElement("p");
+    total.className = "muted";
+    total.append(meter, ` ${collected}`);
+    section.appendChild(total);
+
+    const steps = document.createElement("ol");
+    steps.className = "timeline";
+    timeline.steps.forEach((step) => {
+      const li = document.createElement("li");
+      li.classList.toggle("timeline-step-done", step.done);
+      const label = document.createElement("label");
+      label.className = "progress-step";
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = step.done;
+      checkbox.addEventListener("change", () =>
+        setMilestoneComplete(step.key, checkbox.checked)
+      );
+      const text = document.createElement("span");
+      text.textContent = `${milestoneLabel(step)} (${step.collected}/${
+        step.units
+      })`;
+      label.append(checkbox, text);
+      li.appendChild(label);
+      const list = document.createElement("ul");
+      list.className = "browse-list";
+      step.items.forEach(({ item, quantity, held }) => {
+        const entry = document.createElement("li");
+        entry.appendChild(itemButton(item, quantity));
+        if (!step.done) {
+          const count = document.createElement("span");
+          count.className = "muted";
+          count.textContent = ` ${held}/${quantity}`;
+          entry.appendChild(count);
+        }
+        list.appendChild(entry);
+      });
+      li.appendChild(list);
+      steps.appendChild(li);
+    });
+    section.appendChild(steps);
+    el.appendChild(section);
+  });
+}
+
+let shoppingGoal = readStored("shopping-goal", { group: "", step: "" });
+
+const shoppingChecked = new Set();
+
+function renderShoppingView() {
+  const el = document.getElementById("shopping");
+  if (!el) return;
+  el.innerHTML = "";
+  const groups = buildMilestoneGroups(DATASET.items);
+  if (groups.length === 0) return;
+  let group = groups.find((g) => g.name === shoppingGoal.group);
+  if (!group) {
+    group = groups[0];
+    shoppingGoal = { group: group.name, step: "" };
+  }
+
+  const controls = document.createElement("div");
+  controls.className = "view-controls";
+  const groupSelect = document.createElement("select");
+  groupSelect.setAttribute("aria-label", t("goal"));
+  groups.forEach((g) => groupSelect.add(new Option(groupLabel(g), g.name)));
+  groupSelect.value = group.name;
+  groupSelect.addEventListener("change", () => {
+    shoppingGoal = { group: groupSelect.value, step: "" };
+    writeStored("shopping-goal", shoppingGoal);
+    shoppingChecked.clear();
+    renderShoppingView();
+  });
+  const stepSelect = document.createElement("select");
+  stepSelect.setAttribute("aria-label", t("upToLabel"));
+  stepSelect.add(
+    new Option(group.kind === "quest" ? t("allQuests") : t("allSteps"), "")
+  );
+  group.steps.forEach((step) =>
+    stepSelect.add(
+      new Option(
+        group.kind === "quest"
+          ? milestoneLabel(step)
+          : t("upTo", { milestone: milestoneLabel(step) }),
+        step.key
+      )
+    )
+  );
+  stepSelect.value = shoppingGoal.step;
+  stepSelect.addEventListener("change", () => {
+    shoppingGoal = { group: group.name, step: stepSelect.value };
+    writeStored("shopping-goal", shoppingGoal);
+    shoppingChecked.clear();
+    renderShoppingView();
+  });
+  controls.append(groupSelect, stepSelect);
+  el.appendChild(controls);
+
+  const steps = goalSteps(group, shoppingGoal.step);
+  const lines = buildShoppingList(steps, isMilestoneComplete);
+  const doneCount = steps.filter((step) =>
+    isMilestoneComplete(step.key)
+  ).length;
+  const summary = document.createElement("p");
+  summary.className = "muted";
+  const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+  summary.textContent = lines.length
+    ? `${t("itemCount", { count: lines.length })}, ${t("unitsNeeded", {
+        count: units,
+        units: units.toLocaleString(locale),
+      })}`
+    : t("nothingToCollect");
+  if (doneCount > 0) {
+    summary.textContent += ` ${t("stepsSkipped", { count: doneCount })}`;
+  }
+  el.appendChild(summary);
+  if (lines.length) {
+    const exportControls = document.createElement("div");
+    exportControls.className = "view-controls export-bar";
+    renderExportButtons(
+      exportControls,
+      t("exportList"),
+      `arc-upgrades-shopping-${slugify(group.name).replace(/_/g, "-")}`,
+      SHOPPING_COLUMNS,
+      () => shoppingRows(lines)
+    );
+    el.appendChild(exportControls);
+  }
+
+  const list = document.createElement("ul");
+  list.className = "checklist";
+  lines.forEach((line) => {
+    const li = document.createElement("li");
+    const rarityClass = getRarityClass(
+      line.item.ArcRarity || line.item.MetaRarity
+    );
+    if (rarityClass) li.classList.add(`rarity-${rarityClass}`);
+    li.classList.toggle("checked", shoppingChecked.has(line.item._normName));
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = shoppingChecked.has(line.item._normName);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) shoppingChecked.add(line.item._normName);
+      else shoppingChecked.delete(line.item._normName);
+      li.classList.toggle("checked", checkbox.checked);
+    });
+    const name = document.createElement("strong");
+    name.textContent = `${line.quantity.toLocaleString(
+      locale
+    )}× ${localizedName(line.item, locale)}`;
+    const marker = rarityMarker(rarityClass);
+    if (marker) name.prepend(marker);
+    label.append(checkbox, name);
+    li.appendChild(label);
+    const details = document.createElement("div");
+    details.className = "muted";
+    details.textContent = [
+      line.item.ArcRarity || line.item.MetaRarity,
+      primaryLocation(line.item),
+      line.steps.join(", "),
+    ]
+      .filter(Boolean)
+      .join(" · ");
+    li.appendChild(details);
+    list.appendChild(li);
+  });
+  el.appendChild(list);
+}
+
+// Stash inventory: how many of each item the player holds, used to split a
+// stack into what must be kept for outstanding requirements and the surplus.
+let stash = readStored("stash", {});
+
+function getStashCount(item) {
+  return stash[item._normName] || 0;
+}
+
+function setStashCount(item, count) {
+  const n = Math.max(0, normalizeQuantity(count));
+  if (n > 0) stash[item._normName] = n;
+  else delete stash[item._normName];
+  writeStored("stash", stash);
+}
+
+function requiredQuantity(item) {
+  return outstandingUsage(item).reduce(
+    (sum, entry) =>
+      sum + (Number.isFinite(entry.quantity) ? entry.quantity : 0),
+    0
+  );
+}
+
+function stashSummary(item) {
+  return splitStack(
+    getStashCount(item),
+    requiredQuantity(item),
+    Number(item.ArcValue)
+  );
+}
+
+function describeStash(item) {
+  const { held, keep, surplus, missing, surplusValue } = stashSummary(item);
+  const value = formatCoins(surplusValue);
+  if (!held) return t("stashEmpty");
+  if (keep === 0) return t("stashAllSurplus", { held, value });
+  if (missing > 0) return t("stashMissing", { held, missing });
+  return surplus > 0
+    ? t("stashSell", { keep, surplus, value })
+    : t("stashExact", { held });
+}
+
+function renderStashControl(item) {
+  const wrap = document.createElement("div");
+  wrap.className = "stash";
+  const label = document.createElement("label");
+  label.textContent = t("inStash");
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = "0";
+  input.inputMode = "numeric";
+  input.value = getStashCount(item) || "";
+  label.appendChild(input);
+  const note = document.createElement("span");
+  note.className = "muted";
+  note.textContent = describeStash(item);
+  input.addEventListener("input", () => {
+    setStashCount(item, input.value);
+    note.textContent = describeStash(item);
+  });
+  wrap.append(label, note);
+  return wrap;
+}
+
+function renderStashView(notice = "") {
+  const el = document.getElementById("stash");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const form = document.createElement("div");
+  form.className = "view-controls";
+  const textarea = document.createElement("textarea");
+  textarea.rows = 5;
+  textarea.placeholder = t("stashPlaceholder");
+  textarea.setAttribute("aria-label", t("stashList"));
+  const importButton = document.createElement("button");
+  importButton.type = "button";
+  importButton.className = "view-tab";
+  importButton.textContent = t("import");
+  const clearButton = document.createElement("button");
+  clearButton.type = "button";
+  clearButton.className = "view-tab";
+  clearButton.textContent = t("clearStash");
+  const status = document.createElement("p");
+  status.className = "muted";
+  importButton.addEventListener("click", () => {
+    const { entries, unmatched } = parseStashText(
+      textarea.value,
+      DATASET.items
+    );
+    entries.forEach(({ item, count }) => setStashCount(item, count));
+    renderStashView(
+      `${t("imported", { count: entries.length })}${
+        unmatched.length
+          ? ` ${t("notRecognised", { lines: unmatched.join("; ") })}`
+          : ""
+      }`
+    );
+  });
+  clearButton.addEventListener("click", () => {
+    stash = {};
+    writeStored("stash", stash);
+    renderStashView();
+  });
+  form.append(textarea, importButton, clearButton);
+  el.append(form, status);
+
+  const rows = DATASET.items
+    .filter((item) => getStashCount(item) > 0)
+    .map((item) => ({ item, ...stashSummary(item) }));
+  if (rows.length === 0) {
+    status.textContent = `${notice} ${t("stashIsEmpty")}`.trim();
+    return;
+  }
+  const totalValue = rows.reduce((sum, row) => sum + row.surplusValue, 0);
+  status.textContent = `${notice} ${t("surplusWorth", {
+    count: rows.length,
+    value: formatCoins(totalValue),
+  })}`.trim();
+
+  const table = document.createElement("table");
+  table.className = "data-table";
+  const head = table.createTHead().insertRow();
+  ["item", "held", "keep", "surplus", "surplusValue"].forEach((key) => {
+    const th = document.createElement("th");
+    th.textContent = t(`stashColumn.${key}`);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows
+    .sort((a, b) => b.surplusValue - a.surplusValue)
+    .forEach((row) => {
+      const tr = body.insertRow();
+      [
+        localizedName(row.item, locale),
+        row.held,
+        Math.min(row.held, row.keep),
+        row.surplus,
+        formatCoins(row.surplusValue),
+      ].forEach((value) => {
+        tr.insertCell().textContent = String(value);
+      });
+    });
+  el.appendChild(table);
+}
+
+// Browse mode: lists every item grouped by a facet so a whole upgrade path,
+// quest or loot area can be scanned without typing a query.
+const BROWSE_FACETS = [
+  "station",
+  "quest",
+  "project",
+  "location",
+  "rarity",
+  "source",
+];
+
+let browseFacet = "station";
+
+function browseSections(facet, items) {
+  if (facet === "station" || facet === "quest" || facet === "project") {
+    return buildMilestoneGroups(items)
+      .filter((group) => group.kind === facet)
+      .flatMap((group) => group.steps)
+      .map((step) => ({
+        title: milestoneLabel(step),
+        entries: step.items.map(({ item, quantity }) => ({ item, quantity })),
+      }));
+  }
+  const sections = new Map();
+  const prefix = `${facet}:`;
+  for (const item of items) {
+    for (const key of item.FilterKeys || []) {
+      if (!key.startsWith(prefix)) continue;
+      const value = key.slice(prefix.length);
+      let section = sections.get(value);
+      if (!section) {
+        section = { title: titleCase(value), entries: [] };
+        sections.set(value, section);
+      }
+      section.entries.push({ item, quantity: null });
+    }
+  }
+  return Array.from(sections.values()).sort((a, b) =>
+    a.title.localeCompare(b.title)
+  );
+}
+
+function openItemInSearch(item) {
+  const qEl = document.getElementById("q");
+  if (!qEl) return;
+  focusedItem = item._normName;
+  qEl.value = item.Name;
+  showView("search");
+  if (typeof triggerSearch === "function") triggerSearch();
+}
+
+// Rarity-coloured and -marked badge that opens the item in the search view.
+function itemButton(item, quantity) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "badge";
+  const rarity = item.ArcRarity || item.MetaRarity;
+  const rarityClass = getRarityClass(rarity);
+  if (rarityClass) {
+    button.classList.add("badge-rarity", `badge-rarity-${rarityClass}`);
+  }
+  const name = localizedName(item, locale);
+  button.textContent = quantity > 0 ? `${quantity}× ${name}` : name;
+  const marker = rarityMarker(rarityClass);
+  if (marker) {
+    button.prepend(marker);
+    const rarityText = document.createElement("span");
+    rarityText.className = "visually-hidden";
+    rarityText.textContent = ` (${rarity})`;
+    button.appendChild(rarityText);
+    button.title = rarity;
+  }
+  button.addEventListener("click", () => openItemInSearch(item));
+  return button;
+}
+
+function renderBrowseView() {
+  const el = document.getElementById("browse");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const controls = document.createElement("div");
+  controls.className = "view-controls";
+  const select = document.createElement("select");
+  select.setAttribute("aria-label", t("groupBy"));
+  BROWSE_FACETS.forEach((facet) =>
+    select.add(new Option(t(`browseBy.${facet}`), facet))
+  );
+  select.value = browseFacet;
+  select.addEventListener("change", () => {
+    browseFacet = select.value;
+    renderBrowseView();
+  });
+  controls.appendChild(select);
+  el.appendChild(controls);
+
+  browseSections(browseFacet, DATASET.items).forEach((section) => {
+    const wrap = document.createElement("section");
+    wrap.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = `${section.title} (${section.entries.length})`;
+    wrap.appendChild(heading);
+    const list = document.createElement("ul");
+    list.className = "browse-list";
+    section.entries
+      .slice()
+      .sort((a, b) => a.item._normName.localeCompare(b.item._normName))
+      .forEach(({ item, quantity }) => {
+        const li = document.createElement("li");
+        li.appendChild(itemButton(item, quantity));
+        list.appendChild(li);
+      });
+    wrap.appendChild(list);
+    el.appendChild(wrap);
+  });
+}
+
+// Sell/keep advisor: spare items ranked by coins per kg and per stack slot,
+// what keeping the required items costs, and advice for a pasted inventory.
+const VALUE_COLUMNS = [
+  { key: "name" },
+  { key: "value", format: formatCoins },
+  { key: "weight" },
+  { key: "perKg", format: formatCoins },
+  { key: "stackSize" },
+  { key: "perSlot", format: formatCoins },
+];
+let valueSort = { key: "perKg", descending: true };
+let valueInventoryText = "";
+
+function renderValueTable(el, rows) {
+  const table = document.createElement("table");
+  table.className = "data-table";
+  const head = table.createTHead().insertRow();
+  VALUE_COLUMNS.forEach((column) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    const sorted = valueSort.key === column.key;
+    if (sorted) {
+      th.setAttribute(
+        "aria-sort",
+        valueSort.descending ? "descending" : "ascending"
+      );
+    }
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "sort-button";
+    button.textContent = `${t(`valueColumn.${column.key}`)}${
+      sorted ? (valueSort.descending ? " ▼" : " ▲") : ""
+    }`;
+    button.addEventListener("click", () => {
+      valueSort = {
+        key: column.key,
+        descending: sorted ? !valueSort.descending : column.key !== "name",
+      };
+      renderValueView();
+    });
+    th.appendChild(button);
+    head.appendChild(th);
+  });
+  const sortValue = (row) => row[valueSort.key];
+  const body = table.createTBody();
+  rows
+    .sort((a, b) => {
+      const x = sortValue(a);
+      const y = sortValue(b);
+      // Unknown values always sink to the bottom.
+      if (x === null || y === null) return (x === null) - (y === null);
+      const order =
+        typeof x === "string" ? x.localeCompare(y) : Number(x) - Number(y);
+      return valueSort.descending ? -order : order;
+    })
+    .forEach((row) => {
+      const tr = body.insertRow();
+      VALUE_COLUMNS.forEach((column) => {
+        const value = row[column.key];
+        tr.insertCell().textContent =
+          value === null
+            ? "–"
+            : column.format
+            ? column.format(value)
+            : String(value);
+      });
+    });
+  el.appendChild(table);
+}
+
+function renderValueView() {
+  const el = document.getElementById("value");
+  if (!el) return;
+  el.innerHTML = "";
+  const addHeading = (text) => {
+    const heading = document.createElement("h3");
+    heading.textContent = text;
+    el.appendChild(heading);
+  };
+  const addNote = (text) => {
+    const note = document.createElement("p");
+    note.className = "muted";
+    note.textContent = text;
+    el.appendChild(note);
+  };
+
+  // Bulk advice for a pasted inventory.
+  const form = document.createElement("div");
+  form.className = "view-controls";
+  const textarea = document.createElement("textarea");
+  textarea.rows = 4;
+  textarea.placeholder = t("advisePlaceholder");
+  textarea.setAttribute("aria-label", t("adviseLabel"));
+  textarea.value = valueInventoryText;
+  const adviseButton = document.createElement("button");
+  adviseButton.type = "button";
+  adviseButton.className = "view-tab";
+  adviseButton.textContent = t("advise");
+  adviseButton.addEventListener("click", () => {
+    valueInventoryText = textarea.value;
+    renderValueView();
+  });
+  form.append(textarea, adviseButton);
+  el.appendChild(form);
+  if (valueInventoryText.trim()) {
+    const { entries, unmatched } = parseStashText(
+      valueInventoryText,
+      catalogueItems(DATASET)
+    );
+    const advice = adviseInventory(entries, requiredQuantity);
+    const section = document.createElement("div");
+    section.className = "browse-section";
+    const describe = (list, text) =>
+      list.length ? list.map(text).join(", ") : t("nothing");
+    const sell = document.createElement("p");
+    sell.textContent = t("adviceSell", {
+      items: describe(
+        advice.sell,
+        (entry) => `${entry.count}× ${localizedName(entry.item, locale)}`
+      ),
+      total: advice.sell.length
+        ? t("adviceSellTotal", { value: formatCoins(advice.sellValue) })
+        : "",
+    });
+    const keep = document.createElement("p");
+    keep.textContent = t("adviceKeep", {
+      items: describe(
+        advice.keep,
+        (entry) =>
+          `${entry.count}× ${localizedName(entry.item, locale)}${
+            entry.missing
+              ? ` ${t("moreNeeded", { missing: entry.missing })}`
+              : ""
+          }`
+      ),
+    });
+    section.append(sell, keep);
+    el.appendChild(section);
+    if (unmatched.length) {
+      addNote(t("notRecognised", { lines: unmatched.join("; ") }));
+    }
+  }
+
+  const spare = [];
+  const required = [];
+  catalogueItems(DATASET).forEach((item) => {
+    const keep = requiredQuantity(item);
+    const density = valueDensity(item);
+    if (keep > 0) required.push({ item, keep, value: density.value || 0 });
+    else spare.push({ name: localizedName(item, locale), ...density });
+  });
+
+  addHeading(t("notNeeded", { count: spare.length }));
+  addNote(t("notNeededHint"));
+  renderValueTable(el, spare);
+
+  const cost = (row) => row.keep * row.value;
+  const total = required.reduce((sum, row) => sum + cost(row), 0);
+  addHeading(t("stillRequired", { count: required.length }));
+  addNote(t("stillRequiredHint", { value: formatCoins(total) }));
+  const table = document.createElement("table");
+  table.className = "data-table";
+  const head = table.createTHead().insertRow();
+  ["item", "keep", "valueEach", "leftOnTable"].forEach((key) => {
+    const th = document.createElement("th");
+    th.scope = "col";
+    th.textContent = t(`requiredColumn.${key}`);
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  required
+    .sort((a, b) => cost(b) - cost(a) || a.item.Name.localeCompare(b.item.Name))
+    .forEach((row) => {
+      const tr = body.insertRow();
+      [
+        localizedName(row.item, locale),
+        row.keep,
+        formatCoins(row.value),
+        formatCoins(cost(row)),
+      ].forEach((value) => {
+        tr.insertCell().textContent = String(value);
+      });
+    });
+  el.appendChild(table);
+}
+
+// Loot routes: location types ranked by what is still needed there, after
+// completed milestones and the stash are taken into account.
+function renderRoutesView() {
+  const el = document.getElementById("routes");
+  if (!el) return;
+  el.innerHTML = "";
+  const needs = DATASET.items.map((item) => ({
+    item,
+    quantity: stashSummary(item).missing,
+  }));
+  const ranked = rankLocations(needs);
+  const status = document.createElement("p");
+  status.className = "muted";
+  const neededCount = needs.filter((need) => need.quantity > 0).length;
+  status.textContent = ranked.length
+    ? t("routesHint", { count: neededCount })
+    : t("noRoutes");
+  el.appendChild(status);
+
+  ranked.forEach((entry, index) => {
+    const section = document.createElement("section");
+    section.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = `${index + 1}. ${entry.location} — ${t("itemCount", {
+      count: entry.itemCount,
+    })}, ${t("unitCount", { count: entry.units })}`;
+    section.appendChild(heading);
+    const list = document.createElement("ul");
+    list.className = "browse-list";
+    entry.items.forEach(({ item, quantity }) => {
+      const li = document.createElement("li");
+      li.appendChild(itemButton(item, quantity));
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    el.appendChild(section);
+  });
+}
+
+// What changed: an older items.csv (and optionally its items.json) picked by
+// the user, compared with the loaded data. Kept in memory only.
+let olderData = null;
+
+async function loadOlderData(csvFile, jsonFile) {
+  try {
+    const csvText = await csvFile.text();
+    const json = jsonFile ? JSON.parse(await jsonFile.text()) : null;
+    olderData = {
+      name: csvFile.name,
+      dataset: loadDataset(csvText, json || baseData.jsonPages),
+    };
+  } catch (e) {
+    olderData = null;
+    renderChangesView(t("olderDataError", { message: e.message }));
+    return;
+  }
+  renderChangesView();
+}
+
+function renderChangesView(notice = "") {
+  const el = document.getElementById("changes");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const controls = document.createElement("div");
+  controls.className = "view-controls";
+  const fileInput = (label, accept) => {
+    const picker = document.createElement("label");
+    picker.className = "badge";
+    picker.textContent = label;
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = accept;
+    input.hidden = true;
+    picker.appendChild(input);
+    controls.appendChild(picker);
+    return input;
+  };
+  const csvInput = fileInput(t("olderCsv"), ".csv,text/csv");
+  const jsonInput = fileInput(t("olderJson"), ".json,application/json");
+  const compare = () => {
+    if (csvInput.files?.length) {
+      loadOlderData(csvInput.files[0], jsonInput.files?.[0]);
+    }
+  };
+  csvInput.addEventListener("change", compare);
+  jsonInput.addEventListener("change", compare);
+  el.appendChild(controls);
+
+  const status = document.createElement("p");
+  status.className = "muted";
+  el.appendChild(status);
+  if (notice || !olderData) {
+    status.textContent = notice || t("changesHint");
+    return;
+  }
+
+  const diff = diffDatasets(olderData.dataset, DATASET);
+  const labels = { before: olderData.name, after: t("currentData") };
+  const date = (value) =>
+    value ? value.toLocaleDateString(locale) : t("unknownDate");
+  status.textContent = t("comparing", {
+    name: olderData.name,
+    before: date(diff.asOf.before),
+    after: date(diff.asOf.after),
+  });
+  const download = document.createElement("button");
+  download.type = "button";
+  download.className = "view-tab";
+  download.textContent = t("downloadMarkdown");
+  download.addEventListener("click", () =>
+    downloadText(
+      "arc-upgrades-changes.md",
+      diffToMarkdown(diff, labels, t),
+      EXPORT_FORMATS.markdown.type
+    )
+  );
+  controls.appendChild(download);
+  if (isEmptyDiff(diff)) {
+    const none = document.createElement("p");
+    none.className = "usage-note";
+    none.textContent = t("noChanges");
+    el.appendChild(none);
+    return;
+  }
+
+  const addSection = (title, entries, renderEntry) => {
+    if (!entries.length) return;
+    const section = document.createElement("section");
+    section.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = `${title} (${entries.length})`;
+    section.appendChild(heading);
+    const list = document.createElement("ul");
+    list.className = "browse-list";
+    entries.forEach((entry) => {
+      const li = document.createElement("li");
+      renderEntry(li, entry);
+      list.appendChild(li);
+    });
+    section.appendChild(list);
+    el.appendChild(section);
+  };
+  const text = (li, value) => (li.textContent = value);
+  addSection(t("newQuests"), diff.quests.added, text);
+  addSection(t("removedQuests"), diff.quests.removed, text);
+  addSection(t("addedItems"), diff.added, (li, item) =>
+    li.appendChild(itemButton(item))
+  );
+  addSection(t("removedItems"), diff.removed, (li, item) =>
+    text(li, localizedName(item, locale))
+  );
+  addSection(t("changedItems"), diff.changed, (li, { item, fields, usage }) => {
+    li.appendChild(itemButton(item));
+    const changes = document.createElement("ul");
+    [
+      ...fields.map((change) => describeFieldChange(change, t)),
+      ...usage.map((change) => describeUsageChange(change, t)),
+    ].forEach((line) => {
+      const change = document.createElement("li");
+      change.textContent = line;
+      changes.appendChild(change);
+    });
+    li.appendChild(changes);
+  });
+}
+
+// Exports: the current results, or the selected cards, with their
+// requirements; and the shopping list. Files are built in the page and
+// downloaded, nothing is uploaded.
+let currentResults = [];
+const exportSelection = new Set();
+let exportOutstandingOnly = false;
+
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function renderExportButtons(el, label, filename, columns, getRows) {
+  const text = document.createElement("span");
+  text.className = "muted";
+  text.textContent = label;
+  el.appendChild(text);
+  Object.entries(EXPORT_FORMATS).forEach(([key, format]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "badge";
+    button.textContent = format.label;
+    button.dataset.format = key;
+    button.addEventListener("click", () => {
+      downloadText(
+        `${filename}.${format.extension}`,
+        format.write(getRows(), columns),
+        format.type
+      );
+    });
+    el.appendChild(button);
+  });
+}
+
+function renderExportBar() {
+  const el = document.getElementById("export-bar");
+  if (!el) return;
+  el.innerHTML = "";
+  const selected = DATASET.items.filter((item) =>
+    exportSelection.has(item._normName)
+  );
+  const items = selected.length ? selected : currentResults;
+  el.hidden = items.length === 0;
+  if (!items.length) return;
+  renderExportButtons(
+    el,
+    selected.length
+      ? t("exportSelected", { count: selected.length })
+      : t("exportResults", { count: items.length }),
+    "arc-upgrades-requirements",
+    USAGE_COLUMNS,
+    () => usageRows(items, exportOutstandingOnly ? outstandingUsage : undefined)
+  );
+  const outstanding = document.createElement("label");
+  outstanding.className = "muted";
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.checked = exportOutstandingOnly;
+  checkbox.addEventListener("change", () => {
+    exportOutstandingOnly = checkbox.checked;
+  });
+  outstanding.append(checkbox, ` ${t("outstandingOnly")}`);
+  el.appendChild(outstanding);
+  if (selected.length) {
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "filter-clear";
+    clear.textContent = t("clearSelection");
+    clear.addEventListener("click", () => {
+      exportSelection.clear();
+      document
+        .querySelectorAll(".result-select input")
+        .forEach((box) => (box.checked = false));
+      renderExportBar();
+    });
+    el.appendChild(clear);
+  }
+}
+
+// Comparison: two to four items.json records side by side, keyed by
+// lower-cased name like everything else that is stored.
+const COMPARE_LIMIT = 4;
+let compareNames = readStored("compare", []);
+
+function isCompared(name) {
+  return compareNames.includes(name);
+}
+
+// Adds or removes an item; returns a message when it can't be added.
+function setCompared(name, compared) {
+  if (compared && !isCompared(name)) {
+    if (!DATASET.jsonMap.has(name)) {
+      return t("noStatsForItem");
+    }
+    if (compareNames.length >= COMPARE_LIMIT) {
+      return t("compareLimit", { limit: COMPARE_LIMIT });
+    }
+    compareNames = [...compareNames, name];
+  } else if (!compared) {
+    compareNames = compareNames.filter((n) => n !== name);
+  }
+  writeStored("compare", compareNames);
+  return "";
+}
+
+function renderCompareView(notice = "") {
+  const el = document.getElementById("compare");
+  if (!el) return;
+  el.innerHTML = "";
+
+  const controls = document.createElement("div");
+  controls.className = "view-controls";
+  const input = document.createElement("input");
+  input.type = "text";
+  input.placeholder = t("comparePlaceholder");
+  input.setAttribute("aria-label", t("compareLabel"));
+  input.setAttribute("list", "compare-options");
+  const options = document.createElement("datalist");
+  options.id = "compare-options";
+  Array.from(DATASET.jsonMap.values())
+    .filter((record) => statEntries(record.stat_block).length)
+    .forEach((record) => options.appendChild(new Option(record.name)));
+  const addButton = document.createElement("button");
+  addButton.type = "button";
+  addButton.className = "view-tab";
+  addButton.textContent = t("add");
+  const add = () => {
+    const name = normalizeFilterValue(input.value);
+    if (!name) return;
+    renderCompareView(setCompared(name, true));
+  };
+  addButton.addEventListener("click", add);
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") add();
+  });
+  controls.append(input, options, addButton);
+  el.appendChild(controls);
+
+  const chips = document.createElement("div");
+  chips.className = "filter-bar";
+  compareNames.forEach((name) => {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "badge badge-active";
+    chip.textContent = `${DATASET.jsonMap.get(name)?.name || name} ×`;
+    chip.title = t("removeFromComparison");
+    chip.addEventListener("click", () => {
+      setCompared(name, false);
+      renderCompareView();
+    });
+    chips.appendChild(chip);
+  });
+  el.appendChild(chips);
+
+  const records = compareNames
+    .map((name) => DATASET.jsonMap.get(name))
+    .filter(Boolean);
+  const status = document.createElement("p");
+  status.className = "muted";
+  status.textContent = `${notice} ${
+    records.length < 2
+      ? t("compareHint", { limit: COMPARE_LIMIT })
+      : t("compareLegend")
+  }`.trim();
+  el.appendChild(status);
+  if (!records.length) return;
+
+  compareByItemType(records).forEach((group) => {
+    const section = document.createElement("section");
+    section.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = group.itemType;
+    section.appendChild(heading);
+    if (!group.rows.length) {
+      const empty = document.createElement("p");
+      empty.className = "usage-note";
+      empty.textContent = t("noStats");
+      section.appendChild(empty);
+      el.appendChild(section);
+      return;
+    }
+    const table = document.createElement("table");
+    table.className = "data-table compare-table";
+    const head = table.createTHead().insertRow();
+    [t("stat"), ...group.records.map((record) => record.name)].forEach(
+      (text) => {
+        const th = document.createElement("th");
+        th.scope = "col";
+        th.textContent = text;
+        head.appendChild(th);
+      }
+    );
+    const body = table.createTBody();
+    group.rows.forEach((row) => {
+      const tr = body.insertRow();
+      const label = document.createElement("th");
+      label.scope = "row";
+      label.textContent = row.lowerIsBetter
+        ? `${row.label} ${t("lowerIsBetter")}`
+        : row.label;
+      tr.appendChild(label);
+      row.values.forEach((value, i) => {
+        const cell = tr.insertCell();
+        const text =
+          value === undefined || value === null || value === ""
+            ? "–"
+            : String(value);
+        if (row.better[i]) {
+          cell.className = "stat-better";
+          cell.textContent = `${text} ▲`;
+        } else if (row.worse[i]) {
+          cell.className = "stat-worse";
+          cell.textContent = `${text} ▼`;
+        } else {
+          cell.textContent = text;
+        }
+      });
+    });
+    section.appendChild(table);
+    el.appendChild(section);
+  });
+}
+
+function itemByKey(key) {
+  return DATASET.items.find((item) => item._normName === key);
+}
+
+function formatRecycleOutput(out) {
+  const item = out.key ? itemByKey(out.key) : null;
+  const name = item ? localizedName(item, locale) : out.name;
+  return out.quantity ? `${out.quantity}× ${name}` : name;
+}
+
+// Card lines for the recycling graph: what dismantling yields, which items
+// break down into this one, and whether a surplus copy is worth dismantling
+// for materials that are still needed.
+function renderRecycling(item) {
+  const lines = [];
+  const addLine = (text, className = "description") => {
+    const line = document.createElement("div");
+    line.className = className;
+    line.textContent = text;
+    lines.push(line);
+  };
+  const outputs = item.RecycleOutputs || [];
+  if (outputs.length) {
+    addLine(
+      t("dismantleYields", {
+        items: outputs.map(formatRecycleOutput).join(", "),
+      })
+    );
+  } else if (
+    /recycl(?:ed|es) into crafting materials/i.test(
+      item.ArcDescription || item.MetaDescription || ""
+    )
+  ) {
+    addLine(t("dismantleMaterials"));
+  }
+  const sources = (item.RecycledFrom || [])
+    .map((src) => itemByKey(src.key))
+    .filter(Boolean)
+    .map((source) => localizedName(source, locale));
+  if (sources.length) {
+    addLine(t("recycledFrom", { items: sources.join(", ") }));
+  }
+  const isSurplus =
+    requiredQuantity(item) === 0 || stashSummary(item).surplus > 0;
+  const needed = outputs
+    .filter((out) => out.key && requiredQuantity(itemByKey(out.key)) > 0)
+    .map((out) => localizedName(itemByKey(out.key), locale));
+  if (isSurplus && needed.length) {
+    addLine(
+      t("recycleTip", { items: needed.join(", ") }),
+      "description recycle-tip"
+    );
+  }
+  return lines;
+}
+
+// Detail panel: the full items.json record behind a card, which the cards
+// themselves only summarise.
+let detailItem = null;
+let detailReturnFocus = null;
+
+function formatRecordValue(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) {
+    return value.map(formatRecordValue).filter(Boolean).join(", ");
+  }
+  if (typeof value === "object") {
+    return (
+      value.name ||
+      value.title ||
+      Object.values(value).map(formatRecordValue).filter(Boolean).join(" ")
+    );
+  }
+  return String(value).trim();
+}
+
+function renderItemDetail() {
+  const panel = document.getElementById("item-detail");
+  if (!panel) return;
+  panel.innerHTML = "";
+  panel.hidden = !detailItem;
+  if (!detailItem) return;
+  const item = detailItem;
+  const record = DATASET.jsonMap.get(item._normName) || null;
+
+  const header = document.createElement("div");
+  header.className = "item-detail-header";
+  if (item.IconURL) {
+    const icon = document.createElement("img");
+    icon.src = item.IconURL.replace(/^http:/, "https:");
+    icon.alt = "";
+    header.appendChild(icon);
+  }
+  const title = document.createElement("h2");
+  title.id = "item-detail-title";
+  title.textContent = localizedName(item, locale);
+  header.appendChild(title);
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "result-link";
+  close.textContent = t("close");
+  close.title = t("closeTitle");
+  close.addEventListener("click", closeItemDetail);
+  header.appendChild(close);
+  panel.appendChild(header);
+
+  const addText = (text, className = "description") => {
+    if (!text) return;
+    const line = document.createElement("p");
+    line.className = className;
+    line.textContent = text;
+    panel.appendChild(line);
+  };
+  // ArcType, ArcRarity, ... hold the winning value of every source, see
+  // SOURCED_FIELDS in dataset.js.
+  const value = item.ArcValue;
+  addText(
+    [
+      item.ArcType || item.MetaType,
+      item.ArcRarity || item.MetaRarity,
+      value !== undefined && value !== "" ? formatCoins(Number(value)) : "",
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    "item-detail-summary"
+  );
+  addText(localizedDescription(item, locale));
+  addText(record?.flavor_text, "description item-detail-flavor");
+  renderProvenance(item, panel);
+  if (!record) {
+    addText(t("noRecord"), "usage-note");
+    return;
+  }
+
+  const properties = [
+    ["workbench", record.workbench],
+    ["loadoutSlots", (record.loadout_slots || []).map(statLabel)],
+    ["sources", record.sources],
+    ["locations", record.locations],
+    ["subcategory", record.subcategory],
+    ["ammo", record.ammo_type],
+    ["shield", record.shield_type],
+    ["lootArea", record.loot_area],
+  ]
+    .map(([key, raw]) => [t(`property.${key}`), formatRecordValue(raw)])
+    .filter(([, text]) => text);
+  if (properties.length) {
+    const list = document.createElement("dl");
+    list.className = "item-detail-properties";
+    properties.forEach(([label, text]) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const def = document.createElement("dd");
+      def.textContent = text;
+      list.append(term, def);
+    });
+    panel.appendChild(list);
+  }
+
+  const stats = statEntries(record.stat_block);
+  if (stats.length) {
+    const compare = document.createElement("button");
+    compare.type = "button";
+    compare.className = "view-tab";
+    const label = () =>
+      isCompared(item._normName) ? t("removeFromComparison") : t("compare");
+    compare.textContent = label();
+    compare.addEventListener("click", () => {
+      const problem = setCompared(item._normName, !isCompared(item._normName));
+      compare.textContent = problem || label();
+      if (activeView === "compare") renderCompareView();
+    });
+    panel.appendChild(compare);
+
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const caption = document.createElement("caption");
+    caption.textContent = t("stats");
+    table.appendChild(caption);
+    stats.forEach((stat) => {
+      const row = table.insertRow();
+      const label = document.createElement("th");
+      label.scope = "row";
+      label.textContent = stat.label;
+      row.appendChild(label);
+      row.insertCell().textContent = String(stat.value);
+    });
+    panel.appendChild(table);
+  }
+}
+
+const PROVENANCE_TAGS = { Arc: "Arc", Meta: "Meta", "items.json": "JSON" };
+
+// One row per sourced field, tagged with where its value came from: the Arc
+// or Meta columns of a CSV, or items.json.
+function renderProvenance(item, panel) {
+  const rows = SOURCED_FIELDS.filter(
+    (field) => field.key !== "description" && item.Provenance?.[field.key]
+  );
+  if (!rows.length) return;
+  const list = document.createElement("dl");
+  list.className = "item-detail-properties";
+  rows.forEach((field) => {
+    const { columns, source } = item.Provenance[field.key];
+    const term = document.createElement("dt");
+    term.textContent = t(`field.${field.key}`);
+    const def = document.createElement("dd");
+    def.textContent = String(item[field.arc]);
+    const tag = document.createElement("span");
+    tag.textContent = PROVENANCE_TAGS[columns];
+    tag.className = `provenance provenance-${tag.textContent.toLowerCase()}`;
+    const column = columns === "Meta" ? field.meta : field.arc;
+    tag.title =
+      columns === "items.json"
+        ? t("fromJson")
+        : t("fromColumn", { column, source: source || "items.csv" });
+    def.append(" ", tag);
+    list.append(term, def);
+  });
+  panel.appendChild(list);
+}
+
+function openItemDetail(item) {
+  if (!item) return;
+  if (!detailItem) detailReturnFocus = document.activeElement;
+  detailItem = item;
+  renderItemDetail();
+  document.querySelector("#item-detail .result-link")?.focus();
+}
+
+function closeItemDetail() {
+  detailItem = null;
+  renderItemDetail();
+  detailReturnFocus?.focus?.();
+  detailReturnFocus = null;
+}
+
+// Keyboard: "/" jumps to the search box, the arrow keys move between result
+// cards, Enter opens the focused card's details and Escape backs out again.
+function handleKeydown(e) {
+  if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+  const qEl = document.getElementById("q");
+  const target = e.target instanceof Element ? e.target : null;
+  const typing = Boolean(
+    target?.matches("input, textarea, select") || target?.isContentEditable
+  );
+  if (e.key === "Escape") {
+    if (detailItem) {
+      e.preventDefault();
+      closeItemDetail();
+    } else if (activeView === "search" && target !== qEl) {
+      e.preventDefault();
+      qEl.focus();
+    }
+    return;
+  }
+  if (detailItem || qEl.disabled) return;
+  if (e.key === "/" && !typing) {
+    e.preventDefault();
+    if (activeView !== "search") showView("search");
+    qEl.focus();
+    qEl.select();
+    return;
+  }
+  if (activeView !== "search") return;
+  const card = target?.closest(".result");
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    const down = e.key === "ArrowDown";
+    if (target === qEl) {
+      if (!down) return;
+      // Don't step into results that are about to be replaced.
+      if (searchTimer) triggerSearch();
+      if (!resultsWindow.list.length) return;
+      e.preventDefault();
+      revealResult(0)?.focus();
+    } else if (card && target === card) {
+      e.preventDefault();
+      const next = Number(card.dataset.index) + (down ? 1 : -1);
+      if (next < 0) qEl.focus();
+      else {
+        revealResult(Math.min(next, resultsWindow.list.length - 1))?.focus();
+      }
+    }
+  } else if (e.key === "Enter" && card && target === card) {
+    e.preventDefault();
+    openItemDetail(itemByKey(card.dataset.item));
+  }
+}
+
+// Crafting: recipes on the cards and a planner of what the stash can craft
+// on the benches marked complete in the progress tracker.
+function benchLabel(recipe) {
+  return milestoneForEntry({ station: recipe.station, tier: recipe.tier })
+    .label;
+}
+
+function formatIngredients(recipe) {
+  return recipe.ingredients
+    .map((ing) => {
+      const item = itemByKey(ing.key);
+      return `${ing.quantity}× ${
+        item ? localizedName(item, locale) : ing.name
+      }`;
+    })
+    .join(", ");
+}
+
+function renderRecipes(item) {
+  const lines = [];
+  const addLine = (text) => {
+    const line = document.createElement("div");
+    line.className = "description";
+    line.textContent = text;
+    lines.push(line);
+  };
+  (item.Recipes || []).forEach((recipe) => {
+    const locked = isBenchUnlocked(
+      recipe.station,
+      recipe.tier,
+      completedMilestones
+    )
+      ? ""
+      : t("benchLocked");
+    addLine(
+      t("craftAt", {
+        bench: benchLabel(recipe),
+        locked,
+        ingredients: formatIngredients(recipe),
+        yield: recipe.yield > 1 ? t("craftYield", { count: recipe.yield }) : "",
+      })
+    );
+  });
+  const usedIn = (item.UsedIn || []).map(
+    ({ recipe, quantity }) => `${recipe.name} (${quantity}×)`
+  );
+  if (usedIn.length) {
+    addLine(t("ingredientIn", { recipes: usedIn.join(", ") }));
+  }
+  return lines;
+}
+
+function renderCraftingView() {
+  const el = document.getElementById("crafting");
+  if (!el) return;
+  el.innerHTML = "";
+  const status = document.createElement("p");
+  status.className = "muted";
+  el.appendChild(status);
+  if (!DATASET.recipes.length) {
+    status.textContent = t("noRecipes");
+    return;
+  }
+  const plan = planCrafting(DATASET.recipes, stash, completedMilestones);
+  status.textContent = `${t("recipesReady", { count: plan.ready.length })}${
+    plan.locked.length
+      ? ` ${t("recipesLocked", { count: plan.locked.length })}`
+      : ""
+  }`;
+
+  const addTable = (title, headings, rows) => {
+    if (!rows.length) return;
+    const section = document.createElement("section");
+    section.className = "browse-section";
+    const heading = document.createElement("h3");
+    heading.textContent = `${title} (${rows.length})`;
+    const table = document.createElement("table");
+    table.className = "data-table";
+    const head = table.createTHead().insertRow();
+    headings.forEach((text) => {
+      const th = document.createElement("th");
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach((cells) => {
+      const tr = body.insertRow();
+      cells.forEach((value) => {
+        tr.insertCell().textContent = String(value);
+      });
+    });
+    section.append(heading, table);
+    el.appendChild(section);
+  };
+  addTable(
+    t("readyToCraft"),
+    ["item", "bench", "times", "ingredients"].map((key) =>
+      t(`craftColumn.${key}`)
+    ),
+    plan.ready.map(({ recipe, crafts }) => [
+      recipe.name,
+      benchLabel(recipe),
+      crafts,
+      formatIngredients(recipe),
+    ])
+  );
+  addTable(
+    t("missingIngredients"),
+    ["item", "bench", "needed"].map((key) => t(`craftColumn.${key}`)),
+    plan.short.map(({ recipe, missing }) => [
+      recipe.name,
+      benchLabel(recipe),
+      missing
+        .map(
+          (ing) =>
+            `${ing.quantity - ing.held}× ${
+              itemByKey(ing.key)
+                ? localizedName(itemByKey(ing.key), locale)
+                : ing.name
+            }`
+        )
+        .join(", "),
+    ])
+  );
+}
+
+// View switching between the search results and the auxiliary panels.
+const VIEW_RENDERERS = {
+  search: () => {},
+  progress: renderProgressView,
+  timeline: renderTimelineView,
+  shopping: renderShoppingView,
+  stash: renderStashView,
+  browse: renderBrowseView,
+  compare: renderCompareView,
+  crafting: renderCraftingView,
+  routes: renderRoutesView,
+  value: renderValueView,
+  changes: renderChangesView,
+};
+
+let activeView = "search";
+
+function renderActiveView() {
+  if (!dataLoaded) return;
+  const render = VIEW_RENDERERS[activeView];
+  if (render) render();
+}
+
+function showView(name) {
+  if (!VIEW_RENDERERS[name]) return;
+  // A link to a hidden tab (Crafting without recipes) opens the search.
+  if (document.querySelector(`.view-tab[data-view="${name}"]`)?.hidden) {
+    name = "search";
+  }
+  activeView = name;
+  document.querySelectorAll(".view").forEach((section) => {
+    section.hidden = section.id !== `view-${name}`;
+  });
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.classList.toggle("view-tab-active", tab.dataset.view === name);
+  });
+  renderActiveView();
+  writeUrlState();
+}
+
+// Deep links: the query, active filters, current view and an optional
+// focused item are mirrored into location.hash, e.g.
+//   #q=arc+alloy&f=location:drones&item=arc+alloy
+let focusedItem = "";
+
+let restoringUrl = false;
+
+function urlStateParams() {
+  const params = new URLSearchParams();
+  const q = document.getElementById("q")?.value.trim();
+  if (q) params.set("q", q);
+  for (const [facet, filter] of activeFilters) {
+    filter.values.forEach((value) => params.append("f", `${facet}:${value}`));
+    if (filter.mode === "all") params.append("all", facet);
+  }
+  if (focusedItem) params.set("item", focusedItem);
+  if (activeView !== "search") params.set("view", activeView);
+  return params;
+}
+
+// Typing only replaces the current history entry; any other change (filters,
+// view, focused item) pushes a new one so back/forward steps through them.
+function writeUrlState() {
+  if (restoringUrl || !dataLoaded) return;
+  const params = urlStateParams();
+  const current = new URLSearchParams(location.hash.slice(1));
+  const hash = params.toString();
+  if (hash === current.toString()) return;
+  const withoutQuery = (source) => {
+    const copy = new URLSearchParams(source);
+    copy.delete("q");
+    return copy.toString();
+  };
+  const url = `${location.pathname}${location.search}${hash ? `#${hash}` : ""}`;
+  if (withoutQuery(params) === withoutQuery(current)) {
+    history.replaceState(null, "", url);
+  } else {
+    history.pushState(null, "", url);
+  }
+}
+
+// Applies location.hash to the UI state and returns the view it names.
+function readUrlState() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  const qEl = document.getElementById("q");
+  if (qEl) qEl.value = params.get("q") || "";
+  activeFilters.clear();
+  params.getAll("f").forEach((key) => setFilterActive(key, true));
+  params.getAll("all").forEach((facet) => {
+    const filter = activeFilters.get(facet);
+    if (filter) filter.mode = "all";
+  });
+  focusedItem = params.get("item") || "";
+  return params.get("view") || "search";
+}
+
+function highlightFocusedItem() {
+  if (focusedItem) {
+    revealResult(
+      resultsWindow.list.findIndex((item) => item._normName === focusedItem)
+    );
+  }
+  document.querySelectorAll(".result").forEach((card) => {
+    card.classList.toggle(
+      "result-focused",
+      Boolean(focusedItem) && card.dataset.item === focusedItem
+    );
+  });
+}
+
+function focusItem(item) {
+  focusedItem = item._normName;
+  highlightFocusedItem();
+  writeUrlState();
+  navigator.clipboard?.writeText(location.href).catch(() => {});
+}
+
+async function main() {
+  const qEl = document.getElementById("q");
+  qEl.disabled = true;
+  renderLocaleSwitcher();
+  applyStaticTranslations();
+  registerServiceWorker();
+  window.addEventListener("online", renderDataStatus);
+  window.addEventListener("offline", renderDataStatus);
+
+  try {
+    await loadData();
+    migrateQuestKeys();
+    dataLoaded = true;
+    renderDataStatus();
+    qEl.disabled = false;
+    qEl.focus();
+    setResultsMessage("");
+  } catch (e) {
+    setResultsMessage(e.message, "error");
+    loadFailed = true;
+  }
+
+  function doSearch() {
+    clearTimeout(searchTimer);
+    searchTimer = 0;
+    const q = qEl.value;
+    lastQuery = q;
+    document.body.classList.toggle("search-active", Boolean(q.trim()));
+    if (!dataLoaded) {
+      if (!q.trim()) {
+        setResultsMessage("");
+      } else if (!loadFailed) {
+        setResultsMessage(t("stillLoading"));
+      }
+      return;
+    }
+    // Without a query the filters apply to the whole item list.
+    let res;
+    try {
+      res = q.trim() ? search(DATASET, q) : searchIndex(DATASET.items).pool;
+    } catch (e) {
+      setResultsMessage(
+        e instanceof QueryError ? t(e.key, e.params) : e.message,
+        "error"
+      );
+      // The previous results are off screen now; don't export them.
+      currentResults = [];
+      renderExportBar();
+      syncUI();
+      return;
+    }
+    renderFilterBar(res);
+    if (!q.trim() && activeFilters.size === 0) {
+      setResultsMessage("");
+      currentResults = [];
+      renderExportBar();
+      writeUrlState();
+      syncUI();
+      return;
+    }
+    currentResults = applyFilters(res, activeFilters);
+    renderResults(currentResults, q);
+    renderExportBar();
+    highlightFocusedItem();
+    writeUrlState();
+    syncUI();
+  }
+
+  qEl.addEventListener("input", () => {
+    if (dataLoaded) {
+      focusedItem = "";
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(doSearch, SEARCH_DEBOUNCE_MS);
+    }
+  });
+  window.addEventListener("scroll", scheduleResultsWindow, { passive: true });
+  window.addEventListener("resize", scheduleResultsWindow);
+  window.addEventListener("popstate", () => {
+    if (!dataLoaded) return;
+    restoringUrl = true;
+    showView(readUrlState());
+    doSearch();
+    restoringUrl = false;
+  });
+  document.querySelectorAll(".view-tab").forEach((tab) => {
+    tab.addEventListener("click", () => showView(tab.dataset.view));
+  });
+  document.addEventListener("keydown", handleKeydown);
+  // Dropping CSV files anywhere on the page imports them.
+  window.addEventListener("dragover", (e) => {
+    if (dataLoaded && e.dataTransfer?.types?.includes("Files")) {
+      e.preventDefault();
+    }
+  });
+  window.addEventListener("drop", (e) => {
+    if (!dataLoaded || !e.dataTransfer?.files?.length) return;
+    e.preventDefault();
+    importCsvFiles(e.dataTransfer.files);
+  });
+  triggerSearch = doSearch;
+  if (dataLoaded) {
+    restoringUrl = true;
+    showView(readUrlState());
+    doSearch();
+    restoringUrl = false;
+  }
+  syncUI();
+}
+
+main();
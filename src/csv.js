@@ -0,0 +1,115 @@
+// CSV parsing and row normalization for items.csv.
+
+// Tiny CSV parser that handles quoted values and commas
+export function parseCSV(text) {
+  const rows = [];
+  let i = 0,
+    field = "",
+    row = [],
+    inQuotes = false;
+
+  function pushField() {
+    row.push(field);
+    field = "";
+  }
+  function pushRow() {
+    rows.push(row);
+    row = [];
+  }
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } // escaped quote
+        else {
+          inQuotes = false;
+        }
+      } else {
+        field += c;
+      }
+    } else {
+      if (c === '"') {
+        inQuotes = true;
+      } else if (c === ",") {
+        pushField();
+      } else if (c === "\n") {
+        pushField();
+        pushRow();
+      } else if (c === "\r") {
+        // ignore CR
+      } else {
+        field += c;
+      }
+    }
+    i++;
+  }
+  // last field/row
+  if (field.length > 0 || row.length > 0) {
+    pushField();
+    pushRow();
+  }
+  return rows;
+}
+
+export function normalizeQuantity(q) {
+  const s = String(q || "")
+    .trim()
+    .toLowerCase();
+  if (!s) return 0;
+  const k = s.match(/^(\d+(?:\.\d+)?)k$/);
+  if (k) return Math.round(parseFloat(k[1]) * 1000);
+  const n = parseInt(s, 10);
+  return Number.isFinite(n) ? n : 0;
+}
+
+export function splitLocations(loc) {
+  const s = String(loc || "").trim();
+  if (!s) return [""];
+  return s
+    .replace(/\|/g, ";")
+    .split(/[,;]+/)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Lines such as "# New Quests" split the CSV into sections.
+export function isCommentRow(row) {
+  return String(row[0] || "")
+    .trim()
+    .startsWith("#");
+}
+
+export function toObjects(rows) {
+  const header = rows[0];
+  const out = [];
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    if (row.length === 1 && row[0].trim() === "") continue;
+    if (isCommentRow(row)) continue;
+    const obj = {};
+    for (let c = 0; c < header.length; c++) {
+      obj[header[c]] = row[c] !== undefined ? row[c] : "";
+    }
+    obj.Quantity = normalizeQuantity(obj.Quantity);
+    obj._normName = String(obj.Name || "")
+      .trim()
+      .toLowerCase();
+
+    const locs = splitLocations(obj.LocationType);
+    if (locs.length <= 1) {
+      obj.LocationType = locs[0] || "";
+      out.push(obj);
+    } else {
+      for (const l of locs) {
+        const dup = { ...obj, LocationType: l };
+        out.push(dup);
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,416 @@
+// Data set construction: aggregation of CSV rows into items, items.json
+// metadata, and the headless loadDataset / requirementsFor API.
+
+import { parseCSV, splitLocations, toObjects } from "./csv.js";
+import { linkTranslations, parseTranslations } from "./i18n.js";
+import { milestoneForEntry, questIdFor } from "./milestones.js";
+import { linkRecipes, parseRecipes } from "./recipes.js";
+import { linkRecycling } from "./recycling.js";
+import {
+  normalizeFilterValue,
+  slugify,
+  titleCase,
+  tokenizeName,
+} from "./text.js";
+
+export const SEARCH_BLACKLIST = new Set(["item", "project", "quest"]);
+
+// Item fields that items.csv carries twice, as an Arc and a Meta column,
+// with the items.json property that can stand in for them.
+export const SOURCED_FIELDS = [
+  {
+    key: "rarity",
+    arc: "ArcRarity",
+    meta: "MetaRarity",
+    json: (m) => m.rarity,
+  },
+  { key: "type", arc: "ArcType", meta: "MetaType", json: (m) => m.item_type },
+  { key: "value", arc: "ArcValue", meta: "MetaValue", json: (m) => m.value },
+  {
+    key: "weight",
+    arc: "ArcWeightKg",
+    meta: "MetaWeightKg",
+    json: (m) => m.stat_block?.weight,
+  },
+  {
+    key: "stackSize",
+    arc: "ArcStackSize",
+    meta: "MetaStackSize",
+    json: (m) => m.stat_block?.stackSize,
+  },
+  {
+    key: "description",
+    arc: "ArcDescription",
+    meta: "MetaDescription",
+    json: (m) => m.description,
+  },
+];
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Picks each SOURCED_FIELDS value for an item from its rows (highest
+// precedence first): the first source with an Arc value wins, else its Meta
+// value; items.json only fills what no CSV source has. The winner is written
+// to the Arc column and recorded in item.Provenance[key] as
+// { columns: "Arc" | "Meta" | "items.json", source }.
+function resolveSourcedFields(entry, rows, metaData) {
+  entry.Provenance = {};
+  SOURCED_FIELDS.forEach((field) => {
+    let found = null;
+    for (const row of rows) {
+      if (!isBlank(row[field.arc])) {
+        found = { value: row[field.arc], columns: "Arc", source: row._source };
+      } else if (!isBlank(row[field.meta])) {
+        found = {
+          value: row[field.meta],
+          columns: "Meta",
+          source: row._source,
+        };
+      }
+      if (found) break;
+    }
+    if (!found && metaData && !isBlank(field.json(metaData))) {
+      found = {
+        value: field.json(metaData),
+        columns: "items.json",
+        source: "items.json",
+      };
+    }
+    if (!found) return;
+    entry[field.arc] = found.value;
+    entry.Provenance[field.key] = {
+      columns: found.columns,
+      source: found.source || "",
+    };
+  });
+}
+
+// Merges CSV rows into one entry per item name, collecting usage entries,
+// filter keys and search tokens, and filling gaps from items.json metadata.
+//
+// Rows may come from several CSV sources (see loadDataset): rows with a
+// higher _sourceRank win. Their fields are resolved first (see
+// resolveSourcedFields) and a usage they list replaces the same station,
+// tier, source and quest from a lower-ranked file.
+export function aggregateItems(rows, jsonMap = new Map()) {
+  const map = new Map();
+  const rowsByItem = new Map();
+  const usageRank = new Map();
+  rows = rows
+    .map((row, index) => ({ row, index }))
+    .sort(
+      (a, b) =>
+        (b.row._sourceRank || 0) - (a.row._sourceRank || 0) || a.index - b.index
+    )
+    .map(({ row }) => row);
+  const pushUnique = (list, value) => {
+    if (!value) return;
+    if (!list.includes(value)) list.push(value);
+  };
+  const addFilterKey = (entry, type, value) => {
+    if (!value) return;
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((val) => {
+      const norm = normalizeFilterValue(val);
+      if (norm) entry.FilterKeys.add(`${type}:${norm}`);
+    });
+  };
+  for (const row of rows) {
+    const key = row._normName;
+    let entry = map.get(key);
+    if (!entry) {
+      entry = {
+        ...row,
+        CategoryList: [],
+        LocationList: [],
+        VendorList: [],
+        SourceList: [],
+        DataSources: [],
+        UsageEntries: [],
+        _usageSet: new Set(),
+        FilterKeys: new Set(),
+        _tokenSet: new Set(),
+      };
+      map.set(key, entry);
+      rowsByItem.set(key, []);
+    }
+    rowsByItem.get(key).push(row);
+    pushUnique(entry.CategoryList, row.Category);
+    pushUnique(entry.LocationList, row.LocationType);
+    pushUnique(entry.VendorList, row.Vendor);
+    pushUnique(entry.SourceList, row.Source);
+    addFilterKey(entry, "category", row.Category);
+    addFilterKey(entry, "location", row.LocationType);
+    addFilterKey(entry, "vendor", row.Vendor);
+    addFilterKey(entry, "source", row.Source);
+    addFilterKey(entry, "station", `${row.Station || ""}|${row.Tier || ""}`);
+    addFilterKey(entry, "found", splitLocations(row.ArcFoundIn));
+    addFilterKey(entry, "workbench", row.MetaWorkbench);
+
+    // Merge the icon from items.json
+    const metaData = jsonMap.get(entry._normName);
+    if (!entry.IconURL && metaData?.icon) entry.IconURL = metaData.icon;
+
+    // Fallback Icon Generation if still missing
+    if (!entry.IconURL) {
+      const iconBase = "https://cdn.metaforge.app/arc-raiders/icons/";
+      const fallbackId = (row.MetaID || row.ArcID || row.ItemID || "")
+        .toLowerCase()
+        .replace(/_/g, "-");
+      if (fallbackId) {
+        entry.IconURL = `${iconBase}${fallbackId}.webp`;
+      }
+    }
+
+    // A quest is identified by the QuestID column or a "Quest: <name>"
+    // Station. Only when neither is there is the name guessed from the
+    // ItemID, and such rows get no questId. QuestOrder places the quest in
+    // the quest chain.
+    const slugName = slugify(row.Name);
+    let questName = "";
+    let questId = normalizeFilterValue(row.QuestID);
+    if (
+      row.Source === "Quest" &&
+      row.Station &&
+      row.Station.toLowerCase() !== "quest"
+    ) {
+      questName = row.Station.replace(/^Quest:\s*/i, "").trim();
+    } else if (questId) {
+      questName = titleCase(questId.replace(/[_-]+/g, " "));
+    } else if (row.Station === "Quest" || row.Source === "Quest") {
+      questName = deriveQuestName(row.ItemID, slugName, row.ArcID, row.MetaID);
+    }
+    if (!questId && /^quest:/i.test(row.Station || "")) {
+      questId = questIdFor(questName);
+    }
+    if (row.Station && row.Station !== "Item") {
+      const usageKey = [
+        row.Station,
+        row.Tier,
+        row.Quantity,
+        row.Source,
+        questName,
+      ].join("|");
+      const milestoneKey = [key, row.Station, row.Tier, row.Source, questName]
+        .join("|")
+        .toLowerCase();
+      const rank = row._sourceRank || 0;
+      if (!usageRank.has(milestoneKey)) usageRank.set(milestoneKey, rank);
+      if (
+        usageRank.get(milestoneKey) === rank &&
+        !entry._usageSet.has(usageKey)
+      ) {
+        entry._usageSet.add(usageKey);
+        entry.UsageEntries.push({
+          station: row.Station,
+          tier: row.Tier,
+          quantity: row.Quantity,
+          source: row.Source,
+          questName,
+          questId,
+          questOrder: Number.parseInt(row.QuestOrder, 10) || 0,
+        });
+      }
+    }
+
+    const allTokens = [
+      ...tokenizeName(row.Name),
+      ...tokenizeName(row.Station),
+      ...tokenizeName(questName),
+      ...tokenizeName(row.Source),
+    ];
+    allTokens.forEach((token) => {
+      if (!SEARCH_BLACKLIST.has(token)) {
+        entry._tokenSet.add(token);
+      }
+    });
+
+    if (!entry.MetaDescription && row.MetaDescription)
+      entry.MetaDescription = row.MetaDescription;
+    if (!entry.MetaRarity && row.MetaRarity) entry.MetaRarity = row.MetaRarity;
+    if (row._source) pushUnique(entry.DataSources, row._source);
+  }
+  map.forEach((entry, key) => {
+    resolveSourcedFields(entry, rowsByItem.get(key), jsonMap.get(key));
+    // Keyed on the resolved values, so a field a higher-ranked source
+    // overrides doesn't keep the overridden value's key as well.
+    addFilterKey(entry, "rarity", entry.ArcRarity);
+    addFilterKey(entry, "type", entry.ArcType || entry.CategoryList);
+    addFilterKey(entry, "value", entry.ArcValue);
+    addFilterKey(entry, "stack", entry.ArcStackSize);
+    addFilterKey(entry, "weight", entry.ArcWeightKg);
+  });
+  return Array.from(map.values()).map(({ _usageSet, _tokenSet, ...rest }) => ({
+    ...rest,
+    _tokens: Array.from(_tokenSet),
+  }));
+}
+
+export function deriveQuestName(itemId, slugName, arcId, metaId) {
+  if (!itemId) return "";
+  const tokens = itemId.split("_").filter(Boolean);
+  if (tokens.length <= 1) return "";
+  const nameTokens = slugName ? slugName.split("_").filter(Boolean) : [];
+  let dropCount = 0;
+  if (
+    arcId &&
+    itemId.startsWith(arcId) &&
+    tokens.length > arcId.split("_").length
+  ) {
+    dropCount = arcId.split("_").length;
+  } else if (
+    metaId &&
+    itemId.startsWith(metaId) &&
+    tokens.length > metaId.split("_").length
+  ) {
+    dropCount = metaId.split("_").length;
+  } else if (nameTokens.length && tokens.length > nameTokens.length) {
+    dropCount = nameTokens.length;
+  }
+  if (dropCount <= 0 || dropCount >= tokens.length) {
+    dropCount = Math.max(1, tokens.length - 2);
+  }
+  const remainder = tokens.slice(dropCount);
+  if (remainder.length === 0) return "";
+  return titleCase(remainder.join(" "));
+}
+
+// Newest ArcUpdatedAt (CSV) / updated_at (items.json) across the data set.
+export function latestDataDate(rows, jsonItems) {
+  let latest = 0;
+  const consider = (value) => {
+    const time = Date.parse(value);
+    if (Number.isFinite(time) && time > latest) latest = time;
+  };
+  rows.forEach((row) => consider(row.ArcUpdatedAt));
+  jsonItems.forEach((item) => consider(item.updated_at));
+  return latest ? new Date(latest) : null;
+}
+
+// Indexes items.json records by lower-cased name. Accepts the API payload
+// ({ data: [...] }), a plain array of records, or an array of payloads (the
+// pages of a paginated export); a later page wins on a repeated name.
+export function buildJsonMap(json) {
+  const map = new Map();
+  const pages =
+    Array.isArray(json) && json.some((page) => page?.data) ? json : [json];
+  const records = pages.flatMap((page) =>
+    Array.isArray(page) ? page : page?.data || []
+  );
+  records.forEach((item) => {
+    const name = String(item.name || "")
+      .trim()
+      .toLowerCase();
+    if (name) map.set(name, item);
+  });
+  return map;
+}
+
+// Builds the data set the app and other consumers work with from the raw
+// items.csv text, the parsed items.json payload (or its pages, see
+// buildJsonMap) and, optionally, the raw recipes.csv and translations.csv
+// text.
+//
+// csvText may also be a list of sources, [{ name, text }], such as items.csv
+// followed by CSVs the user imported. Later sources take precedence; each
+// row is tagged with _source (the name) and _sourceRank for aggregateItems.
+export function loadDataset(
+  csvText,
+  json,
+  recipesText = "",
+  translationsText = ""
+) {
+  const jsonMap = buildJsonMap(json);
+  const rows = Array.isArray(csvText)
+    ? csvText.flatMap((source, rank) =>
+        toObjects(parseCSV(source.text)).map((row) => ({
+          ...row,
+          _source: source.name,
+          _sourceRank: rank,
+        }))
+      )
+    : toObjects(parseCSV(csvText));
+  const recipes = parseRecipes(recipesText);
+  const items = linkTranslations(
+    linkRecipes(linkRecycling(aggregateItems(rows, jsonMap), jsonMap), recipes),
+    parseTranslations(translationsText)
+  );
+  return {
+    rows,
+    items,
+    jsonMap,
+    recipes,
+    asOf: latestDataDate(rows, Array.from(jsonMap.values())),
+  };
+}
+
+// The data set's items plus every items.json record that items.csv doesn't
+// list, shaped like an item (Name, _normName, ArcValue, ArcWeightKg, ...)
+// with no usage. Useful wherever any item in the game may turn up, such as a
+// pasted inventory.
+export function catalogueItems(dataset) {
+  const known = new Set(dataset.items.map((item) => item._normName));
+  const extra = [];
+  dataset.jsonMap.forEach((record, name) => {
+    if (known.has(name)) return;
+    extra.push({
+      Name: record.name,
+      _normName: name,
+      ArcRarity: record.rarity || "",
+      ArcType: record.item_type || "",
+      ArcValue: record.value ?? "",
+      ArcWeightKg: record.stat_block?.weight ?? "",
+      ArcStackSize: record.stat_block?.stackSize ?? "",
+      ArcDescription: record.description || "",
+      IconURL: record.icon || "",
+      UsageEntries: [],
+    });
+  });
+  return [...dataset.items, ...extra];
+}
+
+export function itemByName(dataset, name) {
+  const norm = String(name || "")
+    .trim()
+    .toLowerCase();
+  return dataset.items.find((item) => item._normName === norm) || null;
+}
+
+// Lists what a milestone needs, e.g. requirementsFor(ds, "Gunsmith", 2),
+// requirementsFor(ds, "Quest: Mixed Signals") or
+// requirementsFor(ds, "Expedition: Part 3"). Leaving out the tier of a bench
+// returns the requirements of every tier.
+export function requirementsFor(dataset, station, tier) {
+  const anyTier = tier === undefined || tier === null || tier === "";
+  const target = milestoneForEntry({
+    station,
+    tier: anyTier ? "" : String(tier),
+  });
+  const out = [];
+  dataset.items.forEach((item) => {
+    (item.UsageEntries || []).forEach((entry) => {
+      const milestone = milestoneForEntry(entry);
+      const matches =
+        anyTier && target.key.startsWith("station:")
+          ? milestone.group.toLowerCase() === target.group.toLowerCase()
+          : milestone.key === target.key;
+      if (!matches) return;
+      out.push({
+        item,
+        name: item.Name,
+        station: entry.station,
+        tier: entry.tier,
+        quantity: entry.quantity,
+        source: entry.source,
+        questName: entry.questName,
+      });
+    });
+  });
+  return out.sort(
+    (a, b) =>
+      String(a.tier).localeCompare(String(b.tier), undefined, {
+        numeric: true,
+      }) || a.name.localeCompare(b.name)
+  );
+}
@@ -0,0 +1,227 @@
+// Differences between two versions of the data set (see loadDataset), for
+// patch notes: added and removed items, requirement quantities per bench
+// tier, quest or project step, field changes and new quests.
+
+import { translate } from "./i18n.js";
+import { milestoneForEntry } from "./milestones.js";
+import { formatCoins } from "./text.js";
+
+const english = (key, params) => translate("en", key, params);
+
+// Fields compared per item, read from the resolved Arc columns.
+export const DIFF_FIELDS = [
+  { key: "rarity", label: "Rarity", column: "ArcRarity" },
+  { key: "value", label: "Value", column: "ArcValue", coins: true },
+  { key: "weight", label: "Weight", column: "ArcWeightKg" },
+  { key: "stackSize", label: "Stack size", column: "ArcStackSize" },
+];
+
+// Total quantity per milestone key, with the milestone's label.
+function usageTotals(item) {
+  const totals = new Map();
+  (item.UsageEntries || []).forEach((entry) => {
+    const milestone = milestoneForEntry(entry);
+    const total = totals.get(milestone.key) || {
+      label: milestone.label,
+      quantity: 0,
+    };
+    total.quantity += Number(entry.quantity) || 0;
+    totals.set(milestone.key, total);
+  });
+  return totals;
+}
+
+function questNames(dataset) {
+  const names = new Map();
+  dataset.items.forEach((item) =>
+    (item.UsageEntries || []).forEach((entry) => {
+      if (entry.questName) {
+        names.set(entry.questName.toLowerCase(), entry.questName);
+      }
+    })
+  );
+  return names;
+}
+
+function sameValue(a, b) {
+  const blank = (value) =>
+    value === undefined || value === null || value === "";
+  if (blank(a) || blank(b)) return blank(a) === blank(b);
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (Number.isFinite(numberA) && Number.isFinite(numberB)) {
+    return numberA === numberB;
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Compares two data sets item by item (matched by lower-cased name):
+//   { added: [item], removed: [item],
+//     changed: [{ item, fields: [{ key, label, before, after }],
+//                 usage: [{ key, label, before, after }] }],
+//     quests: { added: [name], removed: [name] },
+//     asOf: { before, after } }
+// A usage `before` or `after` of null means the requirement is new or gone.
+export function diffDatasets(before, after) {
+  const beforeItems = new Map(
+    before.items.map((item) => [item._normName, item])
+  );
+  const afterItems = new Map(after.items.map((item) => [item._normName, item]));
+  const byName = (a, b) => a.Name.localeCompare(b.Name);
+
+  const changed = [];
+  afterItems.forEach((item, name) => {
+    const old = beforeItems.get(name);
+    if (!old) return;
+    const fields = DIFF_FIELDS.filter(
+      (field) => !sameValue(old[field.column], item[field.column])
+    ).map((field) => ({
+      key: field.key,
+      label: field.label,
+      before: old[field.column] ?? "",
+      after: item[field.column] ?? "",
+    }));
+    const oldUsage = usageTotals(old);
+    const newUsage = usageTotals(item);
+    const usage = [];
+    newUsage.forEach((total, key) => {
+      const previous = oldUsage.get(key);
+      if (previous?.quantity === total.quantity) return;
+      usage.push({
+        key,
+        label: total.label,
+        before: previous ? previous.quantity : null,
+        after: total.quantity,
+      });
+    });
+    oldUsage.forEach((total, key) => {
+      if (newUsage.has(key)) return;
+      usage.push({
+        key,
+        label: total.label,
+        before: total.quantity,
+        after: null,
+      });
+    });
+    if (fields.length || usage.length) changed.push({ item, fields, usage });
+  });
+
+  const oldQuests = questNames(before);
+  const newQuests = questNames(after);
+  return {
+    added: after.items
+      .filter((item) => !beforeItems.has(item._normName))
+      .sort(byName),
+    removed: before.items
+      .filter((item) => !afterItems.has(item._normName))
+      .sort(byName),
+    changed: changed.sort((a, b) => byName(a.item, b.item)),
+    quests: {
+      added: Array.from(newQuests)
+        .filter(([key]) => !oldQuests.has(key))
+        .map(([, name]) => name)
+        .sort(),
+      removed: Array.from(oldQuests)
+        .filter(([key]) => !newQuests.has(key))
+        .map(([, name]) => name)
+        .sort(),
+    },
+    asOf: { before: before.asOf || null, after: after.asOf || null },
+  };
+}
+
+export function isEmptyDiff(diff) {
+  return (
+    !diff.added.length &&
+    !diff.removed.length &&
+    !diff.changed.length &&
+    !diff.quests.added.length &&
+    !diff.quests.removed.length
+  );
+}
+
+// "Rarity: Common → Uncommon", "Value: ₳640 → ₳800". `t` translates the
+// UI strings (see translate); English by default.
+export function describeFieldChange(change, t = english) {
+  const field = DIFF_FIELDS.find((candidate) => candidate.key === change.key);
+  const format = (value) => {
+    if (value === "" || value === undefined || value === null) {
+      return t("diff.none");
+    }
+    return field?.coins && Number.isFinite(Number(value))
+      ? formatCoins(Number(value))
+      : String(value);
+  };
+  const label = field ? t(`field.${field.key}`) : change.label;
+  return `${label}: ${format(change.before)} → ${format(change.after)}`;
+}
+
+// "Gunsmith 2: 10 → 12", "Quest: Night Shift: new (4)".
+export function describeUsageChange(change, t = english) {
+  if (change.before === null) {
+    return `${change.label}: ${t("diff.new", { after: change.after })}`;
+  }
+  if (change.after === null) {
+    return `${change.label}: ${t("diff.gone", { before: change.before })}`;
+  }
+  return `${change.label}: ${change.before} → ${change.after}`;
+}
+
+// Patch notes for a diff as Markdown. `labels` names the two versions and
+// `t` translates the headings (see translate); English by default.
+export function diffToMarkdown(diff, labels = {}, t = english) {
+  const version = (label, date) =>
+    t("diff.version", {
+      label,
+      date: date ? date.toISOString().slice(0, 10) : t("unknownDate"),
+    });
+  const lines = [`# ${t("tab.changes")}`, ""];
+  lines.push(
+    `${version(
+      labels.before || t("diff.before"),
+      diff.asOf.before
+    )} → ${version(labels.after || t("diff.after"), diff.asOf.after)}`,
+    ""
+  );
+  if (isEmptyDiff(diff)) {
+    lines.push(t("noChanges"), "");
+    return lines.join("\n");
+  }
+  const section = (title, entries) => {
+    if (!entries.length) return;
+    lines.push(`## ${title} (${entries.length})`, "", ...entries, "");
+  };
+  const usageSummary = (item) =>
+    Array.from(
+      usageTotals(item).values(),
+      (total) => `${total.label} ×${total.quantity}`
+    ).join(", ");
+  const itemLine = (item) => {
+    const rarity = item.ArcRarity || item.MetaRarity;
+    const usage = usageSummary(item);
+    return `- **${item.Name}**${rarity ? ` (${rarity})` : ""}${
+      usage ? `: ${usage}` : ""
+    }`;
+  };
+  section(
+    t("newQuests"),
+    diff.quests.added.map((name) => `- ${name}`)
+  );
+  section(
+    t("removedQuests"),
+    diff.quests.removed.map((name) => `- ${name}`)
+  );
+  section(t("addedItems"), diff.added.map(itemLine));
+  section(t("removedItems"), diff.removed.map(itemLine));
+  section(
+    t("changedItems"),
+    diff.changed.map(({ item, fields, usage }) =>
+      [
+        `- **${item.Name}**`,
+        ...fields.map((change) => `  - ${describeFieldChange(change, t)}`),
+        ...usage.map((change) => `  - ${describeUsageChange(change, t)}`),
+      ].join("\n")
+    )
+  );
+  return lines.join("\n");
+}
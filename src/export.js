@@ -0,0 +1,119 @@
+// Exports of items, their requirements and shopping lists as CSV, JSON or
+// Markdown. Column names follow items.csv where there is one, so exported
+// rows line up with the data and with sheets built from it.
+
+import { primaryLocation } from "./milestones.js";
+
+export const USAGE_COLUMNS = [
+  "Name",
+  "Quantity",
+  "Station",
+  "Tier",
+  "Source",
+  "Quest",
+  "Category",
+  "LocationType",
+  "ArcRarity",
+  "ArcValue",
+  "ArcWeightKg",
+  "ArcStackSize",
+];
+
+export const SHOPPING_COLUMNS = [
+  "Name",
+  "Quantity",
+  "ArcRarity",
+  "LocationType",
+  "Station",
+];
+
+// One row per usage entry of each item (entriesFor picks them, e.g. only the
+// outstanding ones); an item without any still gets a row.
+export function usageRows(items, entriesFor = (item) => item.UsageEntries) {
+  const rows = [];
+  items.forEach((item) => {
+    const base = {
+      Name: item.Name,
+      Category: (item.CategoryList || []).join(", ") || item.Category || "",
+      LocationType: (item.LocationList || []).join(", "),
+      ArcRarity: item.ArcRarity || item.MetaRarity || "",
+      ArcValue: item.ArcValue ?? "",
+      ArcWeightKg: item.ArcWeightKg ?? "",
+      ArcStackSize: item.ArcStackSize ?? "",
+    };
+    const entries = entriesFor(item) || [];
+    if (!entries.length) {
+      rows.push({ ...base, Quantity: "", Station: "", Tier: "", Source: "" });
+    }
+    entries.forEach((entry) => {
+      rows.push({
+        ...base,
+        Quantity: entry.quantity,
+        Station: entry.station,
+        Tier: entry.tier,
+        Source: entry.source,
+        Quest: entry.questName || "",
+      });
+    });
+  });
+  return rows;
+}
+
+// Rows for a shopping list from buildShoppingList; Station lists the goal
+// steps the item is still needed for.
+export function shoppingRows(lines) {
+  return lines.map((line) => ({
+    Name: line.item.Name,
+    Quantity: line.quantity,
+    ArcRarity: line.item.ArcRarity || line.item.MetaRarity || "",
+    LocationType: primaryLocation(line.item),
+    Station: line.steps.join(", "),
+  }));
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCSV(rows, columns) {
+  return `${[columns, ...rows.map((row) => columns.map((col) => row[col]))]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\n")}\n`;
+}
+
+export function toJSON(rows, columns) {
+  const records = rows.map((row) =>
+    Object.fromEntries(columns.map((col) => [col, row[col] ?? ""]))
+  );
+  return `${JSON.stringify(records, null, 2)}\n`;
+}
+
+export function toMarkdown(rows, columns) {
+  const cell = (value) =>
+    String(value ?? "")
+      .replace(/\|/g, "\\|")
+      .replace(/\r?\n/g, " ");
+  const line = (cells) => `| ${cells.map(cell).join(" | ")} |`;
+  return `${[
+    line(columns),
+    line(columns.map(() => "---")),
+    ...rows.map((row) => line(columns.map((col) => row[col]))),
+  ].join("\n")}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  csv: { label: "CSV", extension: "csv", type: "text/csv", write: toCSV },
+  json: {
+    label: "JSON",
+    extension: "json",
+    type: "application/json",
+    write: toJSON,
+  },
+  markdown: {
+    label: "Markdown",
+    extension: "md",
+    type: "text/markdown",
+    write: toMarkdown,
+  },
+};
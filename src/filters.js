@@ -0,0 +1,70 @@
+// Facet filters built on the FilterKeys sets from aggregateItems.
+
+import { titleCase } from "./text.js";
+
+// Facets offered in the filter bar; numeric keys (value, stack, weight) are
+// still reachable through the card badges.
+export const FILTER_FACETS = [
+  { key: "rarity", label: "Rarity" },
+  { key: "location", label: "Location" },
+  { key: "found", label: "Found in" },
+  { key: "station", label: "Station" },
+  { key: "source", label: "Source" },
+  { key: "type", label: "Type" },
+  { key: "category", label: "Category" },
+  { key: "vendor", label: "Vendor" },
+  { key: "workbench", label: "Workbench" },
+];
+
+export function parseFilterKey(key) {
+  const index = key.indexOf(":");
+  return { facet: key.slice(0, index), value: key.slice(index + 1) };
+}
+
+export function filterValueLabel(facet, value) {
+  if (facet === "station") {
+    return titleCase(
+      value
+        .split("|")
+        .filter((part) => part && part !== "0")
+        .join(" ")
+    );
+  }
+  if (facet === "value") return `₳${Number(value).toLocaleString()}`;
+  return titleCase(value);
+}
+
+// `filters` maps a facet to { mode: "any" | "all", values: Set }. Values
+// within a facet are OR-ed ("any") or AND-ed ("all"); facets are AND-ed.
+export function matchesFilters(item, filters, skipFacet = "") {
+  for (const [facet, filter] of filters) {
+    if (facet === skipFacet) continue;
+    const keys = Array.from(filter.values, (value) => `${facet}:${value}`);
+    const has = (key) => Boolean(item.FilterKeys?.has(key));
+    const ok = filter.mode === "all" ? keys.every(has) : keys.some(has);
+    if (!ok) return false;
+  }
+  return true;
+}
+
+// Counts, per value of `facet`, how many items of `list` would match if that
+// value were selected, honouring the filters active on the other facets.
+export function facetCounts(list, facet, filters) {
+  const counts = new Map();
+  const prefix = `${facet}:`;
+  list
+    .filter((item) => matchesFilters(item, filters, facet))
+    .forEach((item) => {
+      for (const key of item.FilterKeys || []) {
+        if (!key.startsWith(prefix)) continue;
+        const value = key.slice(prefix.length);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    });
+  return counts;
+}
+
+export function applyFilters(list, filters) {
+  if (filters.size === 0) return list;
+  return list.filter((item) => matchesFilters(item, filters));
+}
@@ -0,0 +1,860 @@
+// Locale layer: translation tables for the UI text and localized item names
+// and descriptions read from translations.csv.
+
+import { parseCSV, toObjects } from "./csv.js";
+import { tokenizeName } from "./text.js";
+
+// Languages the UI is translated into, by code, with their own names.
+export const LOCALES = { en: "English", de: "Deutsch", fr: "Français" };
+
+// UI strings by locale. `{name}` placeholders are filled from the params
+// passed to translate(); keys ending in _one / _other are plural forms.
+// A string missing from a table falls back to English.
+export const MESSAGES = {
+  en: {
+    title: "What item, Raider?",
+    language: "Language",
+    searchPlaceholder: "Search item name… or try rarity:epic value>1000",
+    "tab.search": "Search",
+    "tab.browse": "Browse",
+    "tab.progress": "Progress",
+    "tab.timeline": "Timeline",
+    "tab.shopping": "Shopping list",
+    "tab.stash": "Stash",
+    "tab.value": "Sell / keep",
+    "tab.routes": "Loot route",
+    "tab.crafting": "Crafting",
+    "tab.compare": "Compare",
+    "tab.changes": "What changed",
+    stillLoading: "Still loading data…",
+    noMatches: 'No matches found for "{query}".',
+    noFilterMatches: "No items match the active filters.",
+    searchLabel: "Search items",
+    resultsLabel: "Search results",
+    resultsCount_one: "{count} item found.",
+    resultsCount_other: "{count} items found.",
+    unknownItem: "Unknown Item",
+    link: "Link",
+    linkTitle: "Link to this item (copied to clipboard)",
+    linkCopied: "Link copied",
+    details: "Details",
+    detailsTitle: "Show the full item record (Enter)",
+    select: "Select",
+    selectTitle: "Include this item in exports",
+    close: "Close",
+    closeTitle: "Close (Esc)",
+    required: "Required",
+    requiredKeep: "Required (keep {count})",
+    quest: "Quest: {name}",
+    unknownQuest: "Unknown Quest",
+    tier: "Tier {tier}",
+    upgradeRequirement: "Upgrade requirement",
+    quantity: "Quantity: {count}",
+    source: "Source: {source}",
+    markDone: "Mark done",
+    markDoneTitle: "Mark {milestone} as completed",
+    completedHidden_one: "{count} completed requirement hidden.",
+    completedHidden_other: "{count} completed requirements hidden.",
+    allCompleted: "All listed quests / upgrades completed",
+    notListed: "Not listed for quests / upgrades",
+    listedValue: "its listed value",
+    safeDone:
+      "Everything that needed this item is marked done, so it can be sold for {value} or dismantled safely.",
+    safeNotListed:
+      "This item does not appear in the upgrade data set and can be sold for {value} or dismantled safely.",
+    dismantleYields: "Dismantle yields: {items}.",
+    dismantleMaterials: "Dismantle yields: crafting materials.",
+    recycledFrom: "Can be obtained by recycling {items}.",
+    recycleTip:
+      "Dismantling surplus copies yields {items}, still needed for your upgrades.",
+    craftAt: "Craft at {bench}{locked}: {ingredients}{yield}.",
+    benchLocked: " (bench tier not reached yet)",
+    craftYield: ", makes {count}",
+    ingredientIn: "Ingredient in: {recipes}.",
+    inStash: "In stash",
+    stashEmpty: "Enter how many you hold to see your surplus.",
+    stashAllSurplus: "All {held} are surplus, worth {value}.",
+    stashMissing: "Keep all {held}; {missing} more needed.",
+    stashSell: "Keep {keep}, sell {surplus} surplus for {value}.",
+    stashExact: "Keep all {held}; exactly what you need.",
+    dataAsOf: "Data as of {date}",
+    offline: "offline",
+    newerData: "Newer data downloaded.",
+    reload: "Reload",
+    sources: "Sources: {files}",
+    sourcePages: "({pages} of {total} pages)",
+    removeSource: "Remove {name}",
+    importCsv: "Import CSV",
+    importCsvTitle:
+      "Merge a CSV with items.csv columns; its values win over items.csv",
+    "facet.rarity": "Rarity",
+    "facet.location": "Location",
+    "facet.found": "Found in",
+    "facet.station": "Station",
+    "facet.source": "Source",
+    "facet.type": "Type",
+    "facet.category": "Category",
+    "facet.vendor": "Vendor",
+    "facet.workbench": "Workbench",
+    removeFilter: "Remove filter",
+    "match.any": "match any",
+    "match.all": "match all",
+    matchTitle: "Switch between matching any or all of these values",
+    addFilter: "Add filter",
+    addFilterOption: "Add filter…",
+    clearFilters: "Clear filters",
+    milestonesComplete:
+      '{done} of {total} milestones complete. Completed milestones are left out of the "Required" panels.',
+    itemCount_one: "{count} item",
+    itemCount_other: "{count} items",
+    timelineHint:
+      "Items in your stash count towards the earliest unfinished step that needs them.",
+    noTimelines: "No quests or projects in the data.",
+    stepsDone_one: "{done} of {count} step done",
+    stepsDone_other: "{done} of {count} steps done",
+    collected_one: "{collected} of {count} item collected",
+    collected_other: "{collected} of {count} items collected",
+    goal: "Goal",
+    upToLabel: "Up to",
+    allQuests: "All quests",
+    allSteps: "All steps",
+    upTo: "Up to {milestone}",
+    unitsNeeded_one: "{units} unit still needed.",
+    unitsNeeded_other: "{units} units still needed.",
+    nothingToCollect: "Nothing left to collect for this goal.",
+    stepsSkipped_one: "{count} completed step skipped.",
+    stepsSkipped_other: "{count} completed steps skipped.",
+    exportList: "Export list:",
+    stashPlaceholder:
+      "Paste your stash, one item per line, e.g.\nWires 40\n12x ARC Alloy",
+    stashList: "Stash list",
+    import: "Import",
+    clearStash: "Clear stash",
+    imported_one: "Imported {count} item.",
+    imported_other: "Imported {count} items.",
+    notRecognised: "Not recognised: {lines}.",
+    stashIsEmpty: "Your stash is empty.",
+    surplusWorth_one: "Surplus across {count} item is worth {value}.",
+    surplusWorth_other: "Surplus across {count} items is worth {value}.",
+    "stashColumn.item": "Item",
+    "stashColumn.held": "Held",
+    "stashColumn.keep": "Keep",
+    "stashColumn.surplus": "Surplus",
+    "stashColumn.surplusValue": "Surplus value",
+    groupBy: "Group by",
+    "browseBy.station": "By station / tier",
+    "browseBy.quest": "By quest",
+    "browseBy.project": "By expedition / project",
+    "browseBy.location": "By location",
+    "browseBy.rarity": "By rarity",
+    "browseBy.source": "By source",
+    "valueColumn.name": "Item",
+    "valueColumn.value": "Value",
+    "valueColumn.weight": "Weight (kg)",
+    "valueColumn.perKg": "₳ per kg",
+    "valueColumn.stackSize": "Stack",
+    "valueColumn.perSlot": "₳ per stack slot",
+    advisePlaceholder:
+      "Paste your backpack or stash, one item per line, e.g.\nWires 40\n3x Industrial Battery",
+    adviseLabel: "Inventory to advise on",
+    advise: "Advise",
+    nothing: "nothing",
+    adviceSell: "Sell (least ₳ per kg first): {items}{total}.",
+    adviceSellTotal: " — {value} in total",
+    adviceKeep: "Keep: {items}.",
+    moreNeeded: "({missing} more needed)",
+    notNeeded: "Not needed for anything ({count})",
+    notNeededHint: "Sell or dismantle these. Click a column to sort.",
+    stillRequired: "Still required ({count})",
+    stillRequiredHint:
+      "Keeping these instead of selling them leaves {value} on the table.",
+    "requiredColumn.item": "Item",
+    "requiredColumn.keep": "Keep",
+    "requiredColumn.valueEach": "Value each",
+    "requiredColumn.leftOnTable": "Left on the table",
+    routesHint_one:
+      "{count} item still needed. Locations are ranked by units needed, with rarer items counting more.",
+    routesHint_other:
+      "{count} items still needed. Locations are ranked by units needed, with rarer items counting more.",
+    noRoutes:
+      "Nothing left to collect. Everything still required is in your stash.",
+    unitCount_one: "{count} unit",
+    unitCount_other: "{count} units",
+    "field.rarity": "Rarity",
+    "field.value": "Value",
+    "field.weight": "Weight",
+    "field.stackSize": "Stack size",
+    "diff.none": "none",
+    "diff.new": "new ({after})",
+    "diff.gone": "no longer needed (was {before})",
+    olderDataError: "Could not read the older data: {message}",
+    olderCsv: "Older items.csv",
+    olderJson: "Older items.json (optional)",
+    changesHint:
+      "Pick an older items.csv to see what changed between it and the loaded data.",
+    unknownDate: "an unknown date",
+    comparing:
+      "Comparing {name} (data as of {before}) with the loaded data (as of {after}).",
+    downloadMarkdown: "Download Markdown",
+    noChanges: "No changes.",
+    newQuests: "New quests",
+    removedQuests: "Removed quests",
+    addedItems: "Added items",
+    removedItems: "Removed items",
+    changedItems: "Changed items",
+    exportSelected: "Export {count} selected:",
+    exportResults_one: "Export {count} result:",
+    exportResults_other: "Export {count} results:",
+    outstandingOnly: "Only requirements not done yet",
+    clearSelection: "Clear selection",
+    noStatsForItem: "items.json has no stats for that item.",
+    compareLimit: "You can compare up to {limit} items; remove one first.",
+    comparePlaceholder: "Item name, e.g. Anvil I",
+    compareLabel: "Item to compare",
+    add: "Add",
+    removeFromComparison: "Remove from comparison",
+    compareHint: "Pick two to {limit} items to compare their stats.",
+    compareLegend: "Better values are marked ▲, worse ones ▼.",
+    noStats: "No stats recorded.",
+    stat: "Stat",
+    lowerIsBetter: "(lower is better)",
+    "field.type": "Type",
+    noRecord: "items.json has no record for this item yet.",
+    "property.workbench": "Workbench",
+    "property.loadoutSlots": "Loadout slots",
+    "property.sources": "Sources",
+    "property.locations": "Locations",
+    "property.subcategory": "Subcategory",
+    "property.ammo": "Ammo",
+    "property.shield": "Shield",
+    "property.lootArea": "Loot area",
+    compare: "Compare",
+    stats: "Stats",
+    fromJson: "From items.json",
+    fromColumn: "From the {column} column of {source}",
+    noRecipes:
+      "No recipes loaded yet. Recipes come from recipes.csv in the repository.",
+    recipesReady_one: "{count} recipe ready from your stash.",
+    recipesReady_other: "{count} recipes ready from your stash.",
+    recipesLocked_one:
+      "{count} more needs a bench tier you haven't marked done in Progress.",
+    recipesLocked_other:
+      "{count} more need a bench tier you haven't marked done in Progress.",
+    readyToCraft: "Ready to craft",
+    missingIngredients: "Missing ingredients",
+    "craftColumn.item": "Item",
+    "craftColumn.bench": "Bench",
+    "craftColumn.times": "Times",
+    "craftColumn.ingredients": "Ingredients",
+    "craftColumn.needed": "Still needed",
+    notCsv: "{name} is not a CSV file",
+    noNameColumn: '{name} has no "Name" column',
+    loadFailed: "Failed to load {file} ({status})",
+    quests: "Quests",
+    "query.needsNumber": '"{raw}" needs a number, e.g. {example}.',
+    "query.unknownField": 'Unknown field "{field}". Use one of: {fields}.',
+    "query.badOperator":
+      '"{raw}" can\'t compare {field} with "{op}"; use {field}:value.',
+    "query.missingValue": 'Missing value after "{field}{op}".',
+    "query.missingQuote": "Missing closing quote in {text}.",
+    "query.nothingToExclude": 'Nothing to exclude after "-".',
+    currentData: "current data",
+    "diff.before": "Before",
+    "diff.after": "After",
+    "diff.version": "{label} (data as of {date})",
+  },
+  de: {
+    title: "Welches Item, Raider?",
+    language: "Sprache",
+    searchPlaceholder: "Item suchen… oder z. B. rarity:epic value>1000",
+    "tab.search": "Suche",
+    "tab.browse": "Durchsuchen",
+    "tab.progress": "Fortschritt",
+    "tab.timeline": "Zeitleiste",
+    "tab.shopping": "Einkaufsliste",
+    "tab.stash": "Lager",
+    "tab.value": "Verkaufen / behalten",
+    "tab.routes": "Beuteroute",
+    "tab.crafting": "Herstellung",
+    "tab.compare": "Vergleichen",
+    "tab.changes": "Änderungen",
+    stillLoading: "Daten werden noch geladen…",
+    noMatches: "Keine Treffer für „{query}“.",
+    noFilterMatches: "Keine Items passen zu den aktiven Filtern.",
+    searchLabel: "Items suchen",
+    resultsLabel: "Suchergebnisse",
+    resultsCount_one: "{count} Item gefunden.",
+    resultsCount_other: "{count} Items gefunden.",
+    unknownItem: "Unbekanntes Item",
+    link: "Link",
+    linkTitle: "Link zu diesem Item (in die Zwischenablage kopiert)",
+    linkCopied: "Link kopiert",
+    details: "Details",
+    detailsTitle: "Vollständigen Eintrag anzeigen (Enter)",
+    select: "Auswählen",
+    selectTitle: "Dieses Item in Exporte aufnehmen",
+    close: "Schließen",
+    closeTitle: "Schließen (Esc)",
+    required: "Benötigt",
+    requiredKeep: "Benötigt ({count} behalten)",
+    quest: "Quest: {name}",
+    unknownQuest: "Unbekannte Quest",
+    tier: "Stufe {tier}",
+    upgradeRequirement: "Ausbauanforderung",
+    quantity: "Menge: {count}",
+    source: "Quelle: {source}",
+    markDone: "Als erledigt markieren",
+    markDoneTitle: "{milestone} als abgeschlossen markieren",
+    completedHidden_one: "{count} erledigte Anforderung ausgeblendet.",
+    completedHidden_other: "{count} erledigte Anforderungen ausgeblendet.",
+    allCompleted: "Alle aufgeführten Quests / Ausbauten erledigt",
+    notListed: "Für keine Quests / Ausbauten benötigt",
+    listedValue: "seinen Listenwert",
+    safeDone:
+      "Alles, wofür dieses Item gebraucht wurde, ist erledigt. Es kann für {value} verkauft oder bedenkenlos zerlegt werden.",
+    safeNotListed:
+      "Dieses Item kommt in den Ausbaudaten nicht vor und kann für {value} verkauft oder bedenkenlos zerlegt werden.",
+    dismantleYields: "Zerlegen ergibt: {items}.",
+    dismantleMaterials: "Zerlegen ergibt: Herstellungsmaterialien.",
+    recycledFrom: "Erhältlich durch Zerlegen von {items}.",
+    recycleTip:
+      "Überzählige Exemplare zu zerlegen ergibt {items}, die du für deine Ausbauten noch brauchst.",
+    craftAt: "Herstellen an {bench}{locked}: {ingredients}{yield}.",
+    benchLocked: " (Werkbankstufe noch nicht erreicht)",
+    craftYield: ", ergibt {count}",
+    ingredientIn: "Zutat für: {recipes}.",
+    inStash: "Im Lager",
+    stashEmpty: "Gib ein, wie viele du hast, um deinen Überschuss zu sehen.",
+    stashAllSurplus: "Alle {held} sind überzählig, Wert {value}.",
+    stashMissing: "Alle {held} behalten; {missing} fehlen noch.",
+    stashSell: "{keep} behalten, {surplus} überzählige für {value} verkaufen.",
+    stashExact: "Alle {held} behalten; genau so viele brauchst du.",
+    dataAsOf: "Datenstand {date}",
+    offline: "offline",
+    newerData: "Neuere Daten heruntergeladen.",
+    reload: "Neu laden",
+    sources: "Quellen: {files}",
+    sourcePages: "({pages} von {total} Seiten)",
+    removeSource: "{name} entfernen",
+    importCsv: "CSV importieren",
+    importCsvTitle:
+      "CSV mit den Spalten von items.csv einlesen; seine Werte haben Vorrang vor items.csv",
+    "facet.rarity": "Seltenheit",
+    "facet.location": "Ort",
+    "facet.found": "Fundort",
+    "facet.station": "Station",
+    "facet.source": "Quelle",
+    "facet.type": "Typ",
+    "facet.category": "Kategorie",
+    "facet.vendor": "Händler",
+    "facet.workbench": "Werkbank",
+    removeFilter: "Filter entfernen",
+    "match.any": "beliebiger Wert",
+    "match.all": "alle Werte",
+    matchTitle: "Zwischen „beliebiger Wert“ und „alle Werte“ umschalten",
+    addFilter: "Filter hinzufügen",
+    addFilterOption: "Filter hinzufügen…",
+    clearFilters: "Filter zurücksetzen",
+    milestonesComplete:
+      "{done} von {total} Meilensteinen erledigt. Erledigte Meilensteine fehlen in den „Benötigt“-Feldern.",
+    itemCount_one: "{count} Item",
+    itemCount_other: "{count} Items",
+    timelineHint:
+      "Items im Lager zählen für den frühesten offenen Schritt, der sie braucht.",
+    noTimelines: "Keine Quests oder Projekte in den Daten.",
+    stepsDone_one: "{done} von {count} Schritt erledigt",
+    stepsDone_other: "{done} von {count} Schritten erledigt",
+    collected_one: "{collected} von {count} Item gesammelt",
+    collected_other: "{collected} von {count} Items gesammelt",
+    goal: "Ziel",
+    upToLabel: "Bis",
+    allQuests: "Alle Quests",
+    allSteps: "Alle Schritte",
+    upTo: "Bis {milestone}",
+    unitsNeeded_one: "{units} Einheit wird noch benötigt.",
+    unitsNeeded_other: "{units} Einheiten werden noch benötigt.",
+    nothingToCollect: "Für dieses Ziel ist nichts mehr zu sammeln.",
+    stepsSkipped_one: "{count} erledigter Schritt übersprungen.",
+    stepsSkipped_other: "{count} erledigte Schritte übersprungen.",
+    exportList: "Liste exportieren:",
+    stashPlaceholder:
+      "Lager einfügen, ein Item pro Zeile, z. B.\nWires 40\n12x ARC Alloy",
+    stashList: "Lagerliste",
+    import: "Importieren",
+    clearStash: "Lager leeren",
+    imported_one: "{count} Item importiert.",
+    imported_other: "{count} Items importiert.",
+    notRecognised: "Nicht erkannt: {lines}.",
+    stashIsEmpty: "Dein Lager ist leer.",
+    surplusWorth_one: "Der Überschuss aus {count} Item ist {value} wert.",
+    surplusWorth_other: "Der Überschuss aus {count} Items ist {value} wert.",
+    "stashColumn.item": "Item",
+    "stashColumn.held": "Vorhanden",
+    "stashColumn.keep": "Behalten",
+    "stashColumn.surplus": "Überschuss",
+    "stashColumn.surplusValue": "Wert des Überschusses",
+    groupBy: "Gruppieren nach",
+    "browseBy.station": "Nach Station / Stufe",
+    "browseBy.quest": "Nach Quest",
+    "browseBy.project": "Nach Expedition / Projekt",
+    "browseBy.location": "Nach Ort",
+    "browseBy.rarity": "Nach Seltenheit",
+    "browseBy.source": "Nach Quelle",
+    "valueColumn.name": "Item",
+    "valueColumn.value": "Wert",
+    "valueColumn.weight": "Gewicht (kg)",
+    "valueColumn.perKg": "₳ pro kg",
+    "valueColumn.stackSize": "Stapel",
+    "valueColumn.perSlot": "₳ pro Stapelplatz",
+    advisePlaceholder:
+      "Rucksack oder Lager einfügen, ein Item pro Zeile, z. B.\nWires 40\n3x Industrial Battery",
+    adviseLabel: "Zu bewertendes Inventar",
+    advise: "Bewerten",
+    nothing: "nichts",
+    adviceSell: "Verkaufen (wenigste ₳ pro kg zuerst): {items}{total}.",
+    adviceSellTotal: " — insgesamt {value}",
+    adviceKeep: "Behalten: {items}.",
+    moreNeeded: "({missing} fehlen noch)",
+    notNeeded: "Für nichts benötigt ({count})",
+    notNeededHint:
+      "Verkaufen oder zerlegen. Zum Sortieren auf eine Spalte klicken.",
+    stillRequired: "Noch benötigt ({count})",
+    stillRequiredHint:
+      "Wer diese behält statt sie zu verkaufen, verzichtet auf {value}.",
+    "requiredColumn.item": "Item",
+    "requiredColumn.keep": "Behalten",
+    "requiredColumn.valueEach": "Wert pro Stück",
+    "requiredColumn.leftOnTable": "Entgangener Erlös",
+    routesHint_one:
+      "{count} Item wird noch benötigt. Orte sind nach benötigten Einheiten sortiert, seltenere Items zählen mehr.",
+    routesHint_other:
+      "{count} Items werden noch benötigt. Orte sind nach benötigten Einheiten sortiert, seltenere Items zählen mehr.",
+    noRoutes: "Nichts mehr zu sammeln. Alles noch Benötigte liegt im Lager.",
+    unitCount_one: "{count} Einheit",
+    unitCount_other: "{count} Einheiten",
+    "field.rarity": "Seltenheit",
+    "field.value": "Wert",
+    "field.weight": "Gewicht",
+    "field.stackSize": "Stapelgröße",
+    "diff.none": "keine",
+    "diff.new": "neu ({after})",
+    "diff.gone": "nicht mehr benötigt (vorher {before})",
+    olderDataError: "Die älteren Daten konnten nicht gelesen werden: {message}",
+    olderCsv: "Ältere items.csv",
+    olderJson: "Ältere items.json (optional)",
+    changesHint:
+      "Wähle eine ältere items.csv, um zu sehen, was sich gegenüber den geladenen Daten geändert hat.",
+    unknownDate: "unbekannt",
+    comparing:
+      "Vergleich von {name} (Datenstand {before}) mit den geladenen Daten (Stand {after}).",
+    downloadMarkdown: "Markdown herunterladen",
+    noChanges: "Keine Änderungen.",
+    newQuests: "Neue Quests",
+    removedQuests: "Entfernte Quests",
+    addedItems: "Neue Items",
+    removedItems: "Entfernte Items",
+    changedItems: "Geänderte Items",
+    exportSelected: "{count} ausgewählte exportieren:",
+    exportResults_one: "{count} Ergebnis exportieren:",
+    exportResults_other: "{count} Ergebnisse exportieren:",
+    outstandingOnly: "Nur noch offene Anforderungen",
+    clearSelection: "Auswahl aufheben",
+    noStatsForItem: "items.json enthält keine Werte für dieses Item.",
+    compareLimit:
+      "Du kannst bis zu {limit} Items vergleichen; entferne zuerst eines.",
+    comparePlaceholder: "Itemname, z. B. Anvil I",
+    compareLabel: "Zu vergleichendes Item",
+    add: "Hinzufügen",
+    removeFromComparison: "Aus dem Vergleich entfernen",
+    compareHint: "Wähle zwei bis {limit} Items, um ihre Werte zu vergleichen.",
+    compareLegend: "Bessere Werte sind mit ▲ markiert, schlechtere mit ▼.",
+    noStats: "Keine Werte erfasst.",
+    stat: "Wert",
+    lowerIsBetter: "(niedriger ist besser)",
+    "field.type": "Typ",
+    noRecord: "items.json hat noch keinen Eintrag für dieses Item.",
+    "property.workbench": "Werkbank",
+    "property.loadoutSlots": "Ausrüstungsplätze",
+    "property.sources": "Quellen",
+    "property.locations": "Orte",
+    "property.subcategory": "Unterkategorie",
+    "property.ammo": "Munition",
+    "property.shield": "Schild",
+    "property.lootArea": "Beutegebiet",
+    compare: "Vergleichen",
+    stats: "Werte",
+    fromJson: "Aus items.json",
+    fromColumn: "Aus der Spalte {column} von {source}",
+    noRecipes:
+      "Noch keine Rezepte geladen. Rezepte stammen aus recipes.csv im Repository.",
+    recipesReady_one: "{count} Rezept mit deinem Lager herstellbar.",
+    recipesReady_other: "{count} Rezepte mit deinem Lager herstellbar.",
+    recipesLocked_one:
+      "{count} weiteres braucht eine Werkbankstufe, die unter Fortschritt nicht erledigt ist.",
+    recipesLocked_other:
+      "{count} weitere brauchen eine Werkbankstufe, die unter Fortschritt nicht erledigt ist.",
+    readyToCraft: "Herstellbar",
+    missingIngredients: "Fehlende Zutaten",
+    "craftColumn.item": "Item",
+    "craftColumn.bench": "Werkbank",
+    "craftColumn.times": "Anzahl",
+    "craftColumn.ingredients": "Zutaten",
+    "craftColumn.needed": "Noch benötigt",
+    notCsv: "{name} ist keine CSV-Datei",
+    noNameColumn: "{name} hat keine Spalte „Name“",
+    loadFailed: "{file} konnte nicht geladen werden ({status})",
+    quests: "Quests",
+    "query.needsNumber": "„{raw}“ braucht eine Zahl, z. B. {example}.",
+    "query.unknownField": "Unbekanntes Feld „{field}“. Möglich sind: {fields}.",
+    "query.badOperator":
+      "„{raw}“: {field} lässt sich nicht mit „{op}“ vergleichen; verwende {field}:Wert.",
+    "query.missingValue": "Wert fehlt nach „{field}{op}“.",
+    "query.missingQuote": "Schließendes Anführungszeichen fehlt in {text}.",
+    "query.nothingToExclude": "Nach „-“ fehlt, was ausgeschlossen werden soll.",
+    currentData: "aktuelle Daten",
+    "diff.before": "Vorher",
+    "diff.after": "Nachher",
+    "diff.version": "{label} (Datenstand {date})",
+  },
+  fr: {
+    title: "Quel objet, Raider ?",
+    language: "Langue",
+    searchPlaceholder: "Rechercher un objet… ou essayez rarity:epic value>1000",
+    "tab.search": "Recherche",
+    "tab.browse": "Parcourir",
+    "tab.progress": "Progression",
+    "tab.timeline": "Chronologie",
+    "tab.shopping": "Liste de courses",
+    "tab.stash": "Réserve",
+    "tab.value": "Vendre / garder",
+    "tab.routes": "Itinéraire de butin",
+    "tab.crafting": "Fabrication",
+    "tab.compare": "Comparer",
+    "tab.changes": "Nouveautés",
+    stillLoading: "Chargement des données…",
+    noMatches: "Aucun résultat pour « {query} ».",
+    noFilterMatches: "Aucun objet ne correspond aux filtres actifs.",
+    searchLabel: "Rechercher des objets",
+    resultsLabel: "Résultats de recherche",
+    resultsCount_one: "{count} objet trouvé.",
+    resultsCount_other: "{count} objets trouvés.",
+    unknownItem: "Objet inconnu",
+    link: "Lien",
+    linkTitle: "Lien vers cet objet (copié dans le presse-papiers)",
+    linkCopied: "Lien copié",
+    details: "Détails",
+    detailsTitle: "Afficher la fiche complète (Entrée)",
+    select: "Sélectionner",
+    selectTitle: "Inclure cet objet dans les exports",
+    close: "Fermer",
+    closeTitle: "Fermer (Échap)",
+    required: "Requis",
+    requiredKeep: "Requis (garder {count})",
+    quest: "Quête : {name}",
+    unknownQuest: "Quête inconnue",
+    tier: "Niveau {tier}",
+    upgradeRequirement: "Condition d’amélioration",
+    quantity: "Quantité : {count}",
+    source: "Source : {source}",
+    markDone: "Marquer comme fait",
+    markDoneTitle: "Marquer {milestone} comme terminé",
+    completedHidden_one: "{count} condition terminée masquée.",
+    completedHidden_other: "{count} conditions terminées masquées.",
+    allCompleted: "Toutes les quêtes / améliorations listées sont terminées",
+    notListed: "Non requis pour les quêtes / améliorations",
+    listedValue: "sa valeur indiquée",
+    safeDone:
+      "Tout ce qui nécessitait cet objet est terminé : il peut être vendu pour {value} ou recyclé sans risque.",
+    safeNotListed:
+      "Cet objet n’apparaît dans aucune amélioration et peut être vendu pour {value} ou recyclé sans risque.",
+    dismantleYields: "Le recyclage donne : {items}.",
+    dismantleMaterials: "Le recyclage donne : des matériaux de fabrication.",
+    recycledFrom: "S’obtient en recyclant {items}.",
+    recycleTip:
+      "Recycler les exemplaires en trop donne {items}, encore nécessaires pour vos améliorations.",
+    craftAt: "Fabriquer à {bench}{locked} : {ingredients}{yield}.",
+    benchLocked: " (niveau d’établi pas encore atteint)",
+    craftYield: ", produit {count}",
+    ingredientIn: "Ingrédient de : {recipes}.",
+    inStash: "En réserve",
+    stashEmpty: "Indiquez combien vous en avez pour voir votre surplus.",
+    stashAllSurplus: "Les {held} sont en surplus, valeur {value}.",
+    stashMissing: "Gardez les {held} ; il en manque {missing}.",
+    stashSell: "Gardez-en {keep}, vendez les {surplus} en trop pour {value}.",
+    stashExact: "Gardez les {held} ; c’est exactement ce qu’il faut.",
+    dataAsOf: "Données du {date}",
+    offline: "hors ligne",
+    newerData: "Données plus récentes téléchargées.",
+    reload: "Recharger",
+    sources: "Sources : {files}",
+    sourcePages: "({pages} pages sur {total})",
+    removeSource: "Retirer {name}",
+    importCsv: "Importer un CSV",
+    importCsvTitle:
+      "Fusionner un CSV aux colonnes d’items.csv ; ses valeurs priment sur items.csv",
+    "facet.rarity": "Rareté",
+    "facet.location": "Lieu",
+    "facet.found": "Trouvé dans",
+    "facet.station": "Station",
+    "facet.source": "Source",
+    "facet.type": "Type",
+    "facet.category": "Catégorie",
+    "facet.vendor": "Marchand",
+    "facet.workbench": "Établi",
+    removeFilter: "Retirer le filtre",
+    "match.any": "au moins un",
+    "match.all": "tous",
+    matchTitle: "Basculer entre au moins une de ces valeurs et toutes",
+    addFilter: "Ajouter un filtre",
+    addFilterOption: "Ajouter un filtre…",
+    clearFilters: "Effacer les filtres",
+    milestonesComplete:
+      "{done} étapes sur {total} terminées. Les étapes terminées n’apparaissent plus dans les panneaux « Requis ».",
+    itemCount_one: "{count} objet",
+    itemCount_other: "{count} objets",
+    timelineHint:
+      "Les objets en réserve comptent pour la première étape non terminée qui en a besoin.",
+    noTimelines: "Aucune quête ni projet dans les données.",
+    stepsDone_one: "{done} étape sur {count} terminée",
+    stepsDone_other: "{done} étapes sur {count} terminées",
+    collected_one: "{collected} objet sur {count} collecté",
+    collected_other: "{collected} objets sur {count} collectés",
+    goal: "Objectif",
+    upToLabel: "Jusqu’à",
+    allQuests: "Toutes les quêtes",
+    allSteps: "Toutes les étapes",
+    upTo: "Jusqu’à {milestone}",
+    unitsNeeded_one: "{units} unité encore nécessaire.",
+    unitsNeeded_other: "{units} unités encore nécessaires.",
+    nothingToCollect: "Plus rien à collecter pour cet objectif.",
+    stepsSkipped_one: "{count} étape terminée ignorée.",
+    stepsSkipped_other: "{count} étapes terminées ignorées.",
+    exportList: "Exporter la liste :",
+    stashPlaceholder:
+      "Collez votre réserve, un objet par ligne, par ex.\nWires 40\n12x ARC Alloy",
+    stashList: "Liste de la réserve",
+    import: "Importer",
+    clearStash: "Vider la réserve",
+    imported_one: "{count} objet importé.",
+    imported_other: "{count} objets importés.",
+    notRecognised: "Non reconnus : {lines}.",
+    stashIsEmpty: "Votre réserve est vide.",
+    surplusWorth_one: "Le surplus de {count} objet vaut {value}.",
+    surplusWorth_other: "Le surplus de {count} objets vaut {value}.",
+    "stashColumn.item": "Objet",
+    "stashColumn.held": "Possédés",
+    "stashColumn.keep": "À garder",
+    "stashColumn.surplus": "Surplus",
+    "stashColumn.surplusValue": "Valeur du surplus",
+    groupBy: "Regrouper par",
+    "browseBy.station": "Par station / niveau",
+    "browseBy.quest": "Par quête",
+    "browseBy.project": "Par expédition / projet",
+    "browseBy.location": "Par lieu",
+    "browseBy.rarity": "Par rareté",
+    "browseBy.source": "Par source",
+    "valueColumn.name": "Objet",
+    "valueColumn.value": "Valeur",
+    "valueColumn.weight": "Poids (kg)",
+    "valueColumn.perKg": "₳ par kg",
+    "valueColumn.stackSize": "Pile",
+    "valueColumn.perSlot": "₳ par emplacement",
+    advisePlaceholder:
+      "Collez votre sac ou votre réserve, un objet par ligne, par ex.\nWires 40\n3x Industrial Battery",
+    adviseLabel: "Inventaire à évaluer",
+    advise: "Conseiller",
+    nothing: "rien",
+    adviceSell: "Vendre (le moins de ₳ par kg d’abord) : {items}{total}.",
+    adviceSellTotal: " — {value} au total",
+    adviceKeep: "Garder : {items}.",
+    moreNeeded: "(encore {missing} nécessaires)",
+    notNeeded: "Inutiles ({count})",
+    notNeededHint:
+      "À vendre ou à recycler. Cliquez sur une colonne pour trier.",
+    stillRequired: "Encore requis ({count})",
+    stillRequiredHint:
+      "Les garder au lieu de les vendre fait renoncer à {value}.",
+    "requiredColumn.item": "Objet",
+    "requiredColumn.keep": "À garder",
+    "requiredColumn.valueEach": "Valeur unitaire",
+    "requiredColumn.leftOnTable": "Manque à gagner",
+    routesHint_one:
+      "{count} objet encore nécessaire. Les lieux sont classés par unités nécessaires, les objets rares comptant davantage.",
+    routesHint_other:
+      "{count} objets encore nécessaires. Les lieux sont classés par unités nécessaires, les objets rares comptant davantage.",
+    noRoutes:
+      "Plus rien à collecter. Tout ce qui est encore requis est dans votre réserve.",
+    unitCount_one: "{count} unité",
+    unitCount_other: "{count} unités",
+    "field.rarity": "Rareté",
+    "field.value": "Valeur",
+    "field.weight": "Poids",
+    "field.stackSize": "Taille de pile",
+    "diff.none": "aucune",
+    "diff.new": "nouveau ({after})",
+    "diff.gone": "plus nécessaire (avant {before})",
+    olderDataError: "Impossible de lire les anciennes données : {message}",
+    olderCsv: "Ancien items.csv",
+    olderJson: "Ancien items.json (facultatif)",
+    changesHint:
+      "Choisissez un ancien items.csv pour voir ce qui a changé par rapport aux données chargées.",
+    unknownDate: "inconnu",
+    comparing:
+      "Comparaison de {name} (état des données : {before}) avec les données chargées (état : {after}).",
+    downloadMarkdown: "Télécharger en Markdown",
+    noChanges: "Aucun changement.",
+    newQuests: "Nouvelles quêtes",
+    removedQuests: "Quêtes retirées",
+    addedItems: "Objets ajoutés",
+    removedItems: "Objets retirés",
+    changedItems: "Objets modifiés",
+    exportSelected: "Exporter la sélection ({count}) :",
+    exportResults_one: "Exporter {count} résultat :",
+    exportResults_other: "Exporter {count} résultats :",
+    outstandingOnly: "Seulement les conditions pas encore remplies",
+    clearSelection: "Effacer la sélection",
+    noStatsForItem: "items.json n’a pas de statistiques pour cet objet.",
+    compareLimit:
+      "Vous pouvez comparer jusqu’à {limit} objets ; retirez-en un d’abord.",
+    comparePlaceholder: "Nom de l’objet, par ex. Anvil I",
+    compareLabel: "Objet à comparer",
+    add: "Ajouter",
+    removeFromComparison: "Retirer de la comparaison",
+    compareHint:
+      "Choisissez de deux à {limit} objets pour comparer leurs statistiques.",
+    compareLegend:
+      "Les meilleures valeurs sont marquées ▲, les moins bonnes ▼.",
+    noStats: "Aucune statistique enregistrée.",
+    stat: "Statistique",
+    lowerIsBetter: "(plus bas = mieux)",
+    "field.type": "Type",
+    noRecord: "items.json n’a pas encore de fiche pour cet objet.",
+    "property.workbench": "Établi",
+    "property.loadoutSlots": "Emplacements d’équipement",
+    "property.sources": "Sources",
+    "property.locations": "Lieux",
+    "property.subcategory": "Sous-catégorie",
+    "property.ammo": "Munitions",
+    "property.shield": "Bouclier",
+    "property.lootArea": "Zone de butin",
+    compare: "Comparer",
+    stats: "Statistiques",
+    fromJson: "Depuis items.json",
+    fromColumn: "Depuis la colonne {column} de {source}",
+    noRecipes:
+      "Aucune recette chargée. Les recettes viennent de recipes.csv dans le dépôt.",
+    recipesReady_one: "{count} recette réalisable avec votre réserve.",
+    recipesReady_other: "{count} recettes réalisables avec votre réserve.",
+    recipesLocked_one:
+      "{count} autre nécessite un niveau d’établi non coché dans Progression.",
+    recipesLocked_other:
+      "{count} autres nécessitent un niveau d’établi non coché dans Progression.",
+    readyToCraft: "Prêt à fabriquer",
+    missingIngredients: "Ingrédients manquants",
+    "craftColumn.item": "Objet",
+    "craftColumn.bench": "Établi",
+    "craftColumn.times": "Fois",
+    "craftColumn.ingredients": "Ingrédients",
+    "craftColumn.needed": "Encore nécessaire",
+    notCsv: "{name} n’est pas un fichier CSV",
+    noNameColumn: "{name} n’a pas de colonne « Name »",
+    loadFailed: "Échec du chargement du {file} ({status})",
+    quests: "Quêtes",
+    "query.needsNumber": "« {raw} » attend un nombre, par ex. {example}.",
+    "query.unknownField":
+      "Champ inconnu « {field} ». Utilisez l’un de : {fields}.",
+    "query.badOperator":
+      "« {raw} » : impossible de comparer {field} avec « {op} » ; utilisez {field}:valeur.",
+    "query.missingValue": "Valeur manquante après « {field}{op} ».",
+    "query.missingQuote": "Guillemet fermant manquant dans {text}.",
+    "query.nothingToExclude": "Rien à exclure après « - ».",
+    currentData: "données actuelles",
+    "diff.before": "Avant",
+    "diff.after": "Après",
+    "diff.version": "{label} (état des données : {date})",
+  },
+};
+
+// The UI string `key` in `locale`, with `{name}` placeholders filled from
+// params. A numeric params.count picks the _one / _other form.
+export function translate(locale, key, params = {}) {
+  const lookup = (name) => MESSAGES[locale]?.[name] ?? MESSAGES.en[name];
+  let text;
+  if (typeof params.count === "number") {
+    const form = new Intl.PluralRules(locale).select(params.count);
+    text = lookup(`${key}_${form}`) ?? lookup(`${key}_other`);
+  }
+  text = text ?? lookup(key) ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// The first of the browser's preferred languages the UI is translated
+// into, e.g. ["de-AT", "en"] -> "de"; English otherwise.
+export function pickLocale(languages = []) {
+  for (const language of languages) {
+    const code = String(language || "")
+      .toLowerCase()
+      .split("-")[0];
+    if (LOCALES[code]) return code;
+  }
+  return "en";
+}
+
+export const TRANSLATION_COLUMNS = ["Name", "Locale", "LocalizedName"];
+
+// Parses translations.csv (Name, Locale, LocalizedName and optionally
+// LocalizedDescription) into a Map from lower-cased English name to
+// { [locale]: { name, description } }.
+export function parseTranslations(csvText) {
+  const translations = new Map();
+  if (!csvText) return translations;
+  toObjects(parseCSV(csvText)).forEach((row) => {
+    const locale = String(row.Locale || "")
+      .trim()
+      .toLowerCase();
+    const name = String(row.LocalizedName || "").trim();
+    if (!row._normName || !locale || !name) return;
+    if (!translations.has(row._normName)) {
+      translations.set(row._normName, {});
+    }
+    translations.get(row._normName)[locale] = {
+      name,
+      description: String(row.LocalizedDescription || "").trim(),
+    };
+  });
+  return translations;
+}
+
+// Gives each item LocalizedNames and LocalizedDescriptions ({ [locale]:
+// text }) and adds the localized names to its search tokens, so a search
+// finds items by their name in any loaded language.
+export function linkTranslations(items, translations) {
+  items.forEach((item) => {
+    item.LocalizedNames = {};
+    item.LocalizedDescriptions = {};
+    const byLocale = translations.get(item._normName) || {};
+    Object.entries(byLocale).forEach(([locale, { name, description }]) => {
+      item.LocalizedNames[locale] = name;
+      if (description) item.LocalizedDescriptions[locale] = description;
+      tokenizeName(name).forEach((token) => {
+        if (!item._tokens.includes(token)) item._tokens.push(token);
+      });
+    });
+  });
+  return items;
+}
+
+export function localizedName(item, locale) {
+  return item.LocalizedNames?.[locale] || item.Name;
+}
+
+export function localizedDescription(item, locale) {
+  return (
+    item.LocalizedDescriptions?.[locale] ||
+    item.ArcDescription ||
+    item.MetaDescription ||
+    ""
+  );
+}
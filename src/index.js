@@ -0,0 +1,101 @@
+// Headless data API, usable from Node and the browser:
+//
+//   import { loadDataset, search, requirementsFor } from "./src/index.js";
+//   const dataset = loadDataset(csvText, itemsJson, recipesCsvText);
+//   search(dataset, "arc alloy");
+//   requirementsFor(dataset, "Gunsmith", 2);
+//
+// The web UI in app.js is one consumer of these modules.
+
+export {
+  parseCSV,
+  normalizeQuantity,
+  splitLocations,
+  isCommentRow,
+  toObjects,
+} from "./csv.js";
+export {
+  aggregateItems,
+  buildJsonMap,
+  catalogueItems,
+  deriveQuestName,
+  itemByName,
+  latestDataDate,
+  loadDataset,
+  requirementsFor,
+} from "./dataset.js";
+export {
+  DIFF_FIELDS,
+  describeFieldChange,
+  describeUsageChange,
+  diffDatasets,
+  diffToMarkdown,
+  isEmptyDiff,
+} from "./diff.js";
+export {
+  EXPORT_FORMATS,
+  SHOPPING_COLUMNS,
+  USAGE_COLUMNS,
+  shoppingRows,
+  toCSV,
+  toJSON,
+  toMarkdown,
+  usageRows,
+} from "./export.js";
+export {
+  LOCALES,
+  MESSAGES,
+  TRANSLATION_COLUMNS,
+  linkTranslations,
+  localizedDescription,
+  localizedName,
+  parseTranslations,
+  pickLocale,
+  translate,
+} from "./i18n.js";
+export {
+  FILTER_FACETS,
+  applyFilters,
+  facetCounts,
+  matchesFilters,
+  parseFilterKey,
+} from "./filters.js";
+export {
+  buildMilestoneGroups,
+  buildShoppingList,
+  buildTimelines,
+  goalSteps,
+  milestoneForEntry,
+  questIdFor,
+} from "./milestones.js";
+export {
+  RECIPE_COLUMNS,
+  isBenchUnlocked,
+  linkRecipes,
+  parseRecipes,
+  planCrafting,
+} from "./recipes.js";
+export { linkRecycling, parseRecycleOutputs } from "./recycling.js";
+export {
+  QueryError,
+  buildSearchIndex,
+  dedupeAndSort,
+  nameHighlights,
+  parseQuery,
+  search,
+  searchIndex,
+  similarity,
+} from "./search.js";
+export { itemLocations, rankLocations, rarityWeight } from "./routes.js";
+export {
+  adviseInventory,
+  parseStashText,
+  splitStack,
+  valueDensity,
+} from "./stash.js";
+export {
+  compareByItemType,
+  compareStats,
+  statEntries,
+  statLabel,
+} from "./stats.js";
@@ -0,0 +1,193 @@
+// Milestones (bench tiers, quests, project steps) and the upgrade paths and
+// shopping lists built from them.
+
+import { splitLocations } from "./csv.js";
+import {
+  RARITY_ORDER,
+  getRarityClass,
+  normalizeFilterValue,
+  slugify,
+} from "./text.js";
+
+// The QuestID a quest named only in the Station column would have:
+// "Doctor's Orders" is "doctors_orders".
+export function questIdFor(questName) {
+  return slugify(String(questName || "").replace(/['’]/g, ""));
+}
+
+// Maps a usage entry to the milestone it belongs to, e.g. "Gunsmith 2",
+// "Quest: Mixed Signals" or "Expedition: Part 3". `group` and `order` are
+// used to lay milestones out as ordered upgrade paths; a quest's questOrder
+// is its place in the quest chain.
+export function milestoneForEntry(entry) {
+  const station = String(entry.station || "")
+    .trim()
+    .replace(/:$/, "");
+  const tier = String(entry.tier || "").trim();
+  if (entry.questId || entry.questName || /^quest\b/i.test(station)) {
+    const questName = entry.questName || station.replace(/^Quest:\s*/i, "");
+    return {
+      key: `quest:${entry.questId || questIdFor(questName)}`,
+      label: `Quest: ${questName}`,
+      questName,
+      group: "Quests",
+      order: entry.questOrder || 0,
+    };
+  }
+  const step = station.match(/^(.+?):\s*(?:part|phase)\s*(\d+)$/i);
+  if (step) {
+    return {
+      key: `project:${normalizeFilterValue(station)}`,
+      label: station,
+      group: step[1].trim(),
+      order: Number.parseInt(step[2], 10),
+    };
+  }
+  const hideTier = !tier || tier === "0";
+  return {
+    key: `station:${normalizeFilterValue(station)}|${normalizeFilterValue(
+      tier
+    )}`,
+    label: hideTier ? station : `${station} ${tier}`,
+    group: station,
+    order: Number.parseInt(tier, 10) || 0,
+  };
+}
+
+export const MILESTONE_GROUP_RANK = { station: 0, project: 1, quest: 2 };
+
+// Collects every milestone referenced by the data set, grouped into upgrade
+// paths (one per station, project and the quest list) in display order.
+export function buildMilestoneGroups(items) {
+  const groups = new Map();
+  for (const item of items) {
+    for (const entry of item.UsageEntries || []) {
+      const milestone = milestoneForEntry(entry);
+      let group = groups.get(milestone.group);
+      if (!group) {
+        group = {
+          name: milestone.group,
+          kind: milestone.key.split(":")[0],
+          steps: new Map(),
+        };
+        groups.set(milestone.group, group);
+      }
+      let step = group.steps.get(milestone.key);
+      if (!step) {
+        step = { ...milestone, items: [] };
+        group.steps.set(milestone.key, step);
+      }
+      step.items.push({ item, quantity: entry.quantity });
+    }
+  }
+  return Array.from(groups.values())
+    .map((group) => ({
+      ...group,
+      steps: Array.from(group.steps.values()).sort(
+        (a, b) => a.order - b.order || a.label.localeCompare(b.label)
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        MILESTONE_GROUP_RANK[a.kind] - MILESTONE_GROUP_RANK[b.kind] ||
+        a.name.localeCompare(b.name)
+    );
+}
+
+// Ordered timelines for each project and the quest chain: the non-station
+// paths of buildMilestoneGroups, with completion worked out per step.
+// `heldCount(item)` is what the player holds; it is spent on unfinished
+// steps in order, timeline by timeline. Steps `isComplete` reports as done
+// count in full without using any of it.
+//   [{ name, kind, steps: [{ key, label, done, units, collected,
+//      items: [{ item, quantity, held }] }], stepsDone, units, collected }]
+export function buildTimelines(
+  items,
+  isComplete = () => false,
+  heldCount = () => 0
+) {
+  const remaining = new Map();
+  const take = (item, quantity) => {
+    if (!remaining.has(item._normName)) {
+      remaining.set(item._normName, Math.max(0, heldCount(item) || 0));
+    }
+    const held = Math.min(remaining.get(item._normName), quantity);
+    remaining.set(item._normName, remaining.get(item._normName) - held);
+    return held;
+  };
+  return buildMilestoneGroups(items)
+    .filter((group) => group.kind !== "station")
+    .map((group) => {
+      const steps = group.steps.map((step) => {
+        const done = isComplete(step.key);
+        const lines = step.items.map(({ item, quantity }) => {
+          const needed = Number.isFinite(quantity) ? quantity : 0;
+          return { item, quantity, held: done ? needed : take(item, needed) };
+        });
+        return {
+          ...step,
+          done,
+          items: lines,
+          units: lines.reduce(
+            (sum, line) =>
+              sum + (Number.isFinite(line.quantity) ? line.quantity : 0),
+            0
+          ),
+          collected: lines.reduce((sum, line) => sum + line.held, 0),
+        };
+      });
+      return {
+        ...group,
+        steps,
+        stepsDone: steps.filter((step) => step.done).length,
+        units: steps.reduce((sum, step) => sum + step.units, 0),
+        collected: steps.reduce((sum, step) => sum + step.collected, 0),
+      };
+    });
+}
+
+export function rarityRank(item) {
+  return RARITY_ORDER.indexOf(
+    getRarityClass(item.ArcRarity || item.MetaRarity)
+  );
+}
+
+export function primaryLocation(item) {
+  if (item.ArcFoundIn) return splitLocations(item.ArcFoundIn)[0] || "";
+  return item.LocationList?.[0] || item.LocationType || "";
+}
+
+// Steps of `group` covered by a goal. Ordered paths include every step up
+// to the chosen one; quests are independent, so only the chosen one counts.
+// An empty `stepKey` selects the whole group.
+export function goalSteps(group, stepKey) {
+  if (!stepKey) return group.steps;
+  const index = group.steps.findIndex((step) => step.key === stepKey);
+  if (index < 0) return [];
+  if (group.kind === "quest") return [group.steps[index]];
+  return group.steps.slice(0, index + 1);
+}
+
+// Sums the quantities each item contributes to `steps`, skipping the steps
+// `isComplete` reports as done.
+export function buildShoppingList(steps, isComplete = () => false) {
+  const totals = new Map();
+  for (const step of steps) {
+    if (isComplete(step.key)) continue;
+    for (const { item, quantity } of step.items) {
+      let line = totals.get(item._normName);
+      if (!line) {
+        line = { item, quantity: 0, steps: [] };
+        totals.set(item._normName, line);
+      }
+      line.quantity += Number.isFinite(quantity) ? quantity : 0;
+      if (!line.steps.includes(step.label)) line.steps.push(step.label);
+    }
+  }
+  return Array.from(totals.values()).sort(
+    (a, b) =>
+      rarityRank(b.item) - rarityRank(a.item) ||
+      primaryLocation(a.item).localeCompare(primaryLocation(b.item)) ||
+      a.item._normName.localeCompare(b.item._normName)
+  );
+}
@@ -0,0 +1,130 @@
+// Crafting recipes from recipes.csv: what each item is crafted from, where,
+// and which recipes an item goes into.
+//
+// recipes.csv has one row per ingredient; rows sharing Item, Station and
+// Tier form one recipe:
+//
+//   Item,Yield,Station,Tier,Ingredient,Quantity
+//   Light Shield,1,Gear Bench,1,ARC Alloy,2
+//   Light Shield,1,Gear Bench,1,Rubber Parts,4
+//
+// Yield defaults to 1 and a blank or 0 Tier means the basic workbench.
+
+import { isCommentRow, normalizeQuantity, parseCSV } from "./csv.js";
+import { normalizeFilterValue } from "./text.js";
+
+export const RECIPE_COLUMNS = ["Item", "Station", "Ingredient", "Quantity"];
+
+export function parseRecipes(csvText) {
+  const rows = parseCSV(String(csvText || ""));
+  const header = (rows[0] || []).map((col) => col.trim());
+  const missing = RECIPE_COLUMNS.filter((col) => !header.includes(col));
+  if (!rows.length || missing.length) return [];
+  const recipes = new Map();
+  rows.slice(1).forEach((row) => {
+    if (row.length === 1 && row[0].trim() === "") return;
+    if (isCommentRow(row)) return;
+    const record = {};
+    header.forEach((col, c) => {
+      record[col] = String(row[c] ?? "").trim();
+    });
+    if (!record.Item || !record.Ingredient) return;
+    const tier = record.Tier || "0";
+    const id = [record.Item, record.Station, tier]
+      .map(normalizeFilterValue)
+      .join("|");
+    let recipe = recipes.get(id);
+    if (!recipe) {
+      recipe = {
+        id,
+        name: record.Item,
+        key: normalizeFilterValue(record.Item),
+        yield: normalizeQuantity(record.Yield) || 1,
+        station: record.Station,
+        tier,
+        ingredients: [],
+      };
+      recipes.set(id, recipe);
+    }
+    recipe.ingredients.push({
+      name: record.Ingredient,
+      key: normalizeFilterValue(record.Ingredient),
+      quantity: normalizeQuantity(record.Quantity) || 1,
+    });
+  });
+  return Array.from(recipes.values());
+}
+
+// Attaches recipes to items: item.Recipes lists how to craft it and
+// item.UsedIn lists the recipes it is an ingredient of, with quantities.
+export function linkRecipes(items, recipes = []) {
+  const byName = new Map(items.map((item) => [item._normName, item]));
+  items.forEach((item) => {
+    item.Recipes = [];
+    item.UsedIn = [];
+  });
+  recipes.forEach((recipe) => {
+    byName.get(recipe.key)?.Recipes.push(recipe);
+    recipe.ingredients.forEach((ingredient) => {
+      byName
+        .get(ingredient.key)
+        ?.UsedIn.push({ recipe, quantity: ingredient.quantity });
+    });
+  });
+  return items;
+}
+
+// A recipe's bench is unlocked once its tier, or a higher one, is marked
+// complete in the progress tracker, whose keys look like "station:gunsmith|2"
+// (see milestoneForEntry).
+// The basic workbench (tier 0) is always available.
+export function isBenchUnlocked(station, tier, completed) {
+  const level = Number.parseInt(tier, 10) || 0;
+  if (level <= 0) return true;
+  const prefix = `station:${normalizeFilterValue(station)}|`;
+  return Array.from(completed).some(
+    (key) =>
+      key.startsWith(prefix) &&
+      Number.parseInt(key.slice(prefix.length), 10) >= level
+  );
+}
+
+// Sorts recipes into what the stash can craft right now (ready, with how
+// many times), what an unlocked bench could craft with more ingredients
+// (short, with what is missing) and what needs a bench tier first (locked).
+// stash maps lower-cased item names to counts; completed holds milestone keys.
+export function planCrafting(recipes, stash = {}, completed = new Set()) {
+  const ready = [];
+  const short = [];
+  const locked = [];
+  recipes.forEach((recipe) => {
+    if (!isBenchUnlocked(recipe.station, recipe.tier, completed)) {
+      locked.push(recipe);
+      return;
+    }
+    const held = (key) => stash[key] || 0;
+    const crafts = Math.min(
+      ...recipe.ingredients.map((ing) =>
+        Math.floor(held(ing.key) / ing.quantity)
+      )
+    );
+    if (crafts > 0) {
+      ready.push({ recipe, crafts });
+      return;
+    }
+    short.push({
+      recipe,
+      missing: recipe.ingredients
+        .filter((ing) => held(ing.key) < ing.quantity)
+        .map((ing) => ({ ...ing, held: held(ing.key) })),
+    });
+  });
+  const byName = (a, b) => a.recipe.name.localeCompare(b.recipe.name);
+  return {
+    ready: ready.sort(byName),
+    short: short.sort(
+      (a, b) => a.missing.length - b.missing.length || byName(a, b)
+    ),
+    locked,
+  };
+}
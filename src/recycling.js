@@ -0,0 +1,65 @@
+// Recycling: descriptions such as "Can be recycled into 14 Plastic Parts and
+// 4 Wires." or "Recycles into 3x Assorted Seeds." are parsed into outputs and
+// linked into a graph of which items break down into which materials.
+export const RECYCLE_ALIASES = {
+  "scrap metal": "metal parts",
+  rubber: "rubber parts",
+  wire: "wires",
+};
+
+export const GENERIC_RECYCLE_OUTPUTS = new Set([
+  "crafting materials",
+  "materials",
+]);
+
+export function parseRecycleOutputs(description) {
+  const match = String(description || "").match(
+    /recycl(?:ed|es) into ([^.]+)/i
+  );
+  if (!match) return [];
+  return match[1]
+    .split(/\s*,\s*|\s+and\s+/i)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const qty = part.match(/^(\d+)\s*x?\s+(.+)$/i);
+      return {
+        name: (qty ? qty[2] : part).trim(),
+        quantity: qty ? Number.parseInt(qty[1], 10) : null,
+      };
+    });
+}
+
+// Attaches RecycleOutputs ({ name, quantity, key }) and RecycledFrom
+// ({ key, quantity }) to every item. `key` is the _normName of a known item,
+// or "" when the output is not in the data set.
+export function linkRecycling(items, jsonMap = new Map()) {
+  const byName = new Map(items.map((item) => [item._normName, item]));
+  const resolve = (name) => {
+    const norm = name.toLowerCase();
+    const candidates = [norm, RECYCLE_ALIASES[norm], `${norm}s`];
+    return candidates.find((c) => c && byName.has(c)) || "";
+  };
+  items.forEach((item) => {
+    item.RecycledFrom = [];
+  });
+  items.forEach((item) => {
+    const meta = jsonMap.get(item._normName);
+    const description = [
+      item.ArcDescription,
+      item.MetaDescription,
+      meta?.description,
+    ].find((text) => parseRecycleOutputs(text).length > 0);
+    item.RecycleOutputs = parseRecycleOutputs(description)
+      .filter((out) => !GENERIC_RECYCLE_OUTPUTS.has(out.name.toLowerCase()))
+      .map((out) => ({ ...out, key: resolve(out.name) }));
+    item.RecycleOutputs.forEach((out) => {
+      if (!out.key || out.key === item._normName) return;
+      byName.get(out.key).RecycledFrom.push({
+        key: item._normName,
+        quantity: out.quantity,
+      });
+    });
+  });
+  return items;
+}
@@ -0,0 +1,72 @@
+// Loot routes: which location types to raid for the items still needed.
+
+import { splitLocations } from "./csv.js";
+import { rarityRank } from "./milestones.js";
+import { normalizeFilterValue } from "./text.js";
+
+// Every place an item turns up: its ArcFoundIn values and its LocationType
+// values, without case-insensitive duplicates.
+export function itemLocations(item) {
+  const seen = new Set();
+  const out = [];
+  [
+    ...(item.ArcFoundIn ? splitLocations(item.ArcFoundIn) : []),
+    ...(item.LocationList || []),
+  ].forEach((location) => {
+    const key = normalizeFilterValue(location);
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    out.push(location.trim());
+  });
+  return out;
+}
+
+// Rarer items are harder to come by, so they count for more: common 1 up to
+// legendary 5; unknown rarity counts as common.
+export function rarityWeight(item) {
+  return Math.max(rarityRank(item), 0) + 1;
+}
+
+// Ranks location types for needs = [{ item, quantity }] (quantity still to
+// collect). Each location lists its items, rarest first, and is scored by
+// rarity-weighted units; ties go to the location with more distinct items.
+export function rankLocations(needs) {
+  const byLocation = new Map();
+  needs.forEach(({ item, quantity }) => {
+    if (!(quantity > 0)) return;
+    const weight = rarityWeight(item);
+    itemLocations(item).forEach((location) => {
+      const key = normalizeFilterValue(location);
+      if (!byLocation.has(key)) {
+        byLocation.set(key, {
+          key,
+          location,
+          items: [],
+          itemCount: 0,
+          units: 0,
+          score: 0,
+        });
+      }
+      const entry = byLocation.get(key);
+      entry.items.push({ item, quantity, weight });
+      entry.itemCount++;
+      entry.units += quantity;
+      entry.score += quantity * weight;
+    });
+  });
+  const ranked = Array.from(byLocation.values());
+  ranked.forEach((entry) =>
+    entry.items.sort(
+      (a, b) =>
+        b.weight - a.weight ||
+        b.quantity - a.quantity ||
+        a.item.Name.localeCompare(b.item.Name)
+    )
+  );
+  return ranked.sort(
+    (a, b) =>
+      b.score - a.score ||
+      b.itemCount - a.itemCount ||
+      a.location.localeCompare(b.location)
+  );
+}
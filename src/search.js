@@ -0,0 +1,517 @@
+// Item search: the query language, prefix matching and fuzzy fallback.
+
+import { FILTER_FACETS, parseFilterKey } from "./filters.js";
+import { translate } from "./i18n.js";
+import { foldAccents, normalizeFilterValue, tokenizeName } from "./text.js";
+
+// Jaro-Winkler similarity of two strings, from 0 (nothing alike) to 1.
+export function similarity(a, b) {
+  a = a.toLowerCase().trim();
+  b = b.toLowerCase().trim();
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+  const jaro =
+    (matches / a.length +
+      matches / b.length +
+      (matches - transpositions / 2) / matches) /
+    3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Edit distance counting insertions, deletions, substitutions and swaps of
+// two neighbouring letters ("mechancial" is one edit from "mechanical").
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Query language: plain words are matched as before, plus
+//   field:value / field:"two words"   facet qualifiers (rarity, station, ...)
+//   value>1000, weight<=0.5, stack=10  numeric comparisons
+//   -word, -field:value               exclusions
+// Malformed queries throw a QueryError whose message is shown to the user.
+export const QUERY_NUMERIC_FIELDS = {
+  value: "ArcValue",
+  weight: "ArcWeightKg",
+  stack: "ArcStackSize",
+};
+
+// A malformed query. `key` and `params` name the UI string (see translate)
+// so the app can show it in the user's language; the message is English.
+export class QueryError extends Error {
+  constructor(key, params = {}) {
+    super(translate("en", key, params));
+    this.name = "QueryError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+export function queryFieldNames() {
+  return [
+    ...FILTER_FACETS.map((f) => f.key),
+    "quest",
+    ...Object.keys(QUERY_NUMERIC_FIELDS),
+  ];
+}
+
+export function buildQueryClause(field, op, value, negate) {
+  const raw = `${field}${op}${value}`;
+  if (QUERY_NUMERIC_FIELDS[field]) {
+    const number = /^\d+(?:\.\d+)?k$/i.test(value)
+      ? parseFloat(value) * 1000
+      : value.trim()
+      ? Number(value)
+      : NaN;
+    if (!Number.isFinite(number)) {
+      throw new QueryError("query.needsNumber", {
+        raw,
+        example: `${field}>${field === "weight" ? "0.5" : "1000"}`,
+      });
+    }
+    return {
+      kind: "number",
+      field,
+      op: op === ":" ? "=" : op,
+      value: number,
+      negate,
+    };
+  }
+  if (!queryFieldNames().includes(field)) {
+    throw new QueryError("query.unknownField", {
+      field,
+      fields: queryFieldNames().join(", "),
+    });
+  }
+  if (op !== ":" && op !== "=") {
+    throw new QueryError("query.badOperator", { raw, field, op });
+  }
+  const norm = normalizeFilterValue(value);
+  if (!norm) throw new QueryError("query.missingValue", { field, op });
+  return { kind: "field", field, value: norm, negate };
+}
+
+export function parseQuery(q) {
+  const src = String(q || "").trim();
+  const terms = [];
+  const clauses = [];
+  let i = 0;
+
+  function readValue() {
+    if (src[i] === '"') {
+      const end = src.indexOf('"', i + 1);
+      if (end < 0) {
+        throw new QueryError("query.missingQuote", { text: src.slice(i) });
+      }
+      const value = src.slice(i + 1, end);
+      i = end + 1;
+      return value;
+    }
+    const start = i;
+    while (i < src.length && !/\s/.test(src[i])) i++;
+    return src.slice(start, i);
+  }
+
+  while (i < src.length) {
+    if (/\s/.test(src[i])) {
+      i++;
+      continue;
+    }
+    let negate = false;
+    if (src[i] === "-") {
+      negate = true;
+      i++;
+    }
+    const qualifier = src.slice(i).match(/^([a-z]+)(>=|<=|:|>|<|=)/i);
+    if (qualifier) {
+      i += qualifier[0].length;
+      clauses.push(
+        buildQueryClause(
+          qualifier[1].toLowerCase(),
+          qualifier[2],
+          readValue(),
+          negate
+        )
+      );
+      continue;
+    }
+    const value = foldAccents(readValue().trim().toLowerCase());
+    if (negate && !value) throw new QueryError("query.nothingToExclude");
+    if (!value) continue;
+    if (negate) clauses.push({ kind: "term", value, negate });
+    else terms.push(value);
+  }
+  return { terms, clauses };
+}
+
+export function matchesClause(item, clause) {
+  let hit = false;
+  if (clause.kind === "number") {
+    const raw = item[QUERY_NUMERIC_FIELDS[clause.field]];
+    const n = raw === undefined || raw === "" ? NaN : Number(raw);
+    if (Number.isFinite(n)) {
+      if (clause.op === ">") hit = n > clause.value;
+      else if (clause.op === ">=") hit = n >= clause.value;
+      else if (clause.op === "<") hit = n < clause.value;
+      else if (clause.op === "<=") hit = n <= clause.value;
+      else hit = n === clause.value;
+    }
+  } else if (clause.kind === "field" && clause.field === "quest") {
+    hit = (item.UsageEntries || []).some((entry) =>
+      normalizeFilterValue(entry.questName).includes(clause.value)
+    );
+  } else if (clause.kind === "field") {
+    const prefix = `${clause.field}:`;
+    hit = Array.from(item.FilterKeys || []).some(
+      (key) =>
+        key.startsWith(prefix) &&
+        key.slice(prefix.length).replace(/\|/g, " ").includes(clause.value)
+    );
+  } else {
+    // Excluded words also look at filter values, so "-quest" drops quest
+    // items even though "quest" is not a search token.
+    const words = [
+      ...(item._tokens || []),
+      ...Array.from(item.FilterKeys || []).flatMap((key) =>
+        tokenizeName(parseFilterKey(key).value)
+      ),
+    ];
+    hit = words.some((word) => word.startsWith(clause.value));
+  }
+  return clause.negate ? !hit : hit;
+}
+
+export function itemKey(r) {
+  return r._normName;
+}
+
+export function dedupeAndSort(list) {
+  const seen = new Set();
+  const out = [];
+  for (const item of list) {
+    const key = itemKey(item);
+    if (!seen.has(key)) {
+      seen.add(key);
+      out.push(item);
+    }
+  }
+  out.sort((a, b) => {
+    const nameCompare = a._normName.localeCompare(b._normName);
+    if (nameCompare !== 0) return nameCompare;
+    const stationCompare = String(a.Station || "").localeCompare(
+      String(b.Station || "")
+    );
+    if (stationCompare !== 0) return stationCompare;
+    return String(a.Tier || "").localeCompare(String(b.Tier || ""));
+  });
+  return out;
+}
+
+// Ranking tiers: the whole name typed out, every word a prefix of an item
+// word, or at least one word only matching with a typo.
+export const MATCH_EXACT = 3;
+export const MATCH_PREFIX = 2;
+export const MATCH_TYPO = 1;
+// Words from the item name count fully; station, quest and source words
+// count this much.
+const OTHER_TOKEN_WEIGHT = 0.5;
+
+// Typos allowed in a query word of this length.
+function typoAllowance(length) {
+  if (length < 5) return 0;
+  return length < 9 ? 1 : 2;
+}
+
+// How well one query word matches one item word, or null.
+export function matchWord(term, word) {
+  if (word === term)
+    return { kind: MATCH_EXACT, score: 1, length: word.length };
+  if (word.startsWith(term)) {
+    return {
+      kind: MATCH_PREFIX,
+      score: 0.75 + (0.2 * term.length) / word.length,
+      length: term.length,
+    };
+  }
+  const allowance = typoAllowance(term.length);
+  if (!allowance) return null;
+  // Compare with the whole word and with its start, so a typo in a word
+  // that is still being typed ("mechanc") matches too.
+  const candidates = [word];
+  if (word.length > term.length) candidates.push(word.slice(0, term.length));
+  let best = null;
+  candidates.forEach((candidate) => {
+    if (editDistance(term, candidate) > allowance) return;
+    const score = 0.6 * similarity(term, candidate);
+    if (!best || score > best.score) {
+      best = { kind: MATCH_TYPO, score, length: candidate.length };
+    }
+  });
+  return best;
+}
+
+// Short words get no typo allowance of their own, but the query as a whole
+// may still be a typo of the full name ("cooling fanz").
+function wholeNameTypo(nameWords, terms) {
+  const query = terms.join(" ");
+  const name = nameWords.join(" ");
+  if (editDistance(query, name) > typoAllowance(query.length)) return null;
+  return { rank: MATCH_TYPO, score: 0.6 * similarity(query, name) };
+}
+
+// The English name and any localized names (see linkTranslations).
+function itemNames(item) {
+  return [item.Name, ...Object.values(item.LocalizedNames || {})];
+}
+
+// Scores an item against the plain query words, trying each of its names.
+// Returns null when some word matches nothing, otherwise { rank, score }
+// where rank is one of the MATCH_* tiers and score orders items within a
+// tier.
+export function scoreItem(item, terms) {
+  if (!terms.length) return null;
+  let best = null;
+  itemNames(item).forEach((name) => {
+    const match = scoreName(tokenizeName(name), item, terms);
+    if (
+      match &&
+      (!best ||
+        match.rank > best.rank ||
+        (match.rank === best.rank && match.score > best.score))
+    ) {
+      best = match;
+    }
+  });
+  return best;
+}
+
+function scoreName(nameWords, item, terms) {
+  const otherWords = (item._tokens || []).filter(
+    (token) => !nameWords.includes(token)
+  );
+  const matchedNameWords = new Set();
+  let rank = MATCH_PREFIX;
+  let total = 0;
+  for (const term of terms) {
+    let best = null;
+    let bestWord = null;
+    const consider = (word, weight) => {
+      const match = matchWord(term, word);
+      if (!match) return;
+      const score = match.score * weight;
+      if (!best || score > best.score) {
+        best = { kind: match.kind, score };
+        bestWord = weight === 1 ? word : null;
+      }
+    };
+    nameWords.forEach((word) => consider(word, 1));
+    otherWords.forEach((word) => consider(word, OTHER_TOKEN_WEIGHT));
+    if (!best) return wholeNameTypo(nameWords, terms);
+    if (bestWord) matchedNameWords.add(bestWord);
+    if (best.kind === MATCH_TYPO) rank = MATCH_TYPO;
+    total += best.score;
+  }
+  if (terms.join(" ") === nameWords.join(" ")) rank = MATCH_EXACT;
+  // Prefer items whose name is mostly covered by the query, so "mechanical
+  // components" ranks above "advanced mechanical components".
+  const coverage = nameWords.length
+    ? matchedNameWords.size / nameWords.length
+    : 0;
+  return { rank, score: total / terms.length + 0.1 * coverage };
+}
+
+// Parts of an item name to highlight for the query words, as sorted
+// non-overlapping [start, end) ranges.
+export function nameHighlights(name, terms) {
+  const ranges = [];
+  const text = foldAccents(name).toLowerCase();
+  const wordPattern = /[\p{L}\p{N}_-]+/gu;
+  let found;
+  while ((found = wordPattern.exec(text))) {
+    const word = found[0];
+    let length = 0;
+    terms.forEach((term) => {
+      const match = matchWord(term, word);
+      if (match) length = Math.max(length, match.length);
+    });
+    if (length) ranges.push([found.index, found.index + length]);
+  }
+  return ranges;
+}
+
+// Token index over an item list, so a search only scores the items that
+// can match instead of every item:
+//   pool         the list deduplicated and sorted (see dedupeAndSort)
+//   words        sorted distinct words from names, localized names and
+//                _tokens
+//   postings     word -> Set of pool positions of the items with that word
+//   nameLengths  length of each tokenized name -> Set of pool positions,
+//                for the whole-name typo fallback
+export function buildSearchIndex(items) {
+  const pool = dedupeAndSort(items);
+  const postings = new Map();
+  const nameLengths = new Map();
+  const addTo = (map, key, position) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(position);
+  };
+  pool.forEach((item, position) => {
+    (item._tokens || []).forEach((word) => addTo(postings, word, position));
+    itemNames(item).forEach((name) => {
+      const nameWords = tokenizeName(name);
+      nameWords.forEach((word) => addTo(postings, word, position));
+      addTo(nameLengths, nameWords.join(" ").length, position);
+    });
+  });
+  const words = Array.from(postings.keys()).sort();
+  return { pool, words, postings, nameLengths };
+}
+
+// Indexes are built on the first search of an item list and reused while
+// the same array is searched again; a changed data set is a new array.
+const searchIndexes = new WeakMap();
+
+export function searchIndex(items) {
+  let index = searchIndexes.get(items);
+  if (!index) {
+    index = buildSearchIndex(items);
+    searchIndexes.set(items, index);
+  }
+  return index;
+}
+
+// First position in the sorted words that is not before `term`.
+function lowerBound(words, term) {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (words[mid] < term) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+// Pool positions of the items with a word matchWord accepts for `term`.
+function termPositions(index, term) {
+  const positions = new Set();
+  const add = (word) =>
+    index.postings.get(word).forEach((position) => positions.add(position));
+  const allowance = typoAllowance(term.length);
+  if (allowance) {
+    // A typo can be anywhere in the word, so every word long enough to be
+    // within the allowance is tried.
+    index.words.forEach((word) => {
+      if (word.length >= term.length - allowance && matchWord(term, word)) {
+        add(word);
+      }
+    });
+  } else {
+    // Exact and prefix matches sit next to each other in sorted order.
+    for (
+      let i = lowerBound(index.words, term);
+      i < index.words.length && index.words[i].startsWith(term);
+      i++
+    ) {
+      add(index.words[i]);
+    }
+  }
+  return positions;
+}
+
+// Pool positions scoreItem can accept: items where every query word matches
+// some word, plus names close enough in length to be a whole-name typo.
+function candidatePositions(index, terms) {
+  let candidates = null;
+  for (const term of terms) {
+    const positions = termPositions(index, term);
+    candidates = candidates
+      ? new Set(Array.from(candidates).filter((p) => positions.has(p)))
+      : positions;
+    if (!candidates.size) break;
+  }
+  const query = terms.join(" ");
+  const allowance = typoAllowance(query.length);
+  if (allowance) {
+    for (
+      let length = query.length - allowance;
+      length <= query.length + allowance;
+      length++
+    ) {
+      index.nameLengths
+        .get(length)
+        ?.forEach((position) => candidates.add(position));
+    }
+  }
+  return Array.from(candidates).sort((a, b) => a - b);
+}
+
+// Searches a data set (from loadDataset) or a plain item list. Results are
+// ranked exact name first, then prefix matches, then typo matches; ties keep
+// name order. All matches are returned unless maxResults is given. Throws on
+// malformed queries, see parseQuery.
+export function search(dataset, q, maxResults = Infinity) {
+  const items = Array.isArray(dataset) ? dataset : dataset.items;
+  const parsed = parseQuery(q);
+  if (!parsed.terms.length && parsed.clauses.length === 0) return [];
+
+  const index = searchIndex(items);
+  const matchesClauses = (it) =>
+    parsed.clauses.every((clause) => matchesClause(it, clause));
+  if (!parsed.terms.length) {
+    return index.pool.filter(matchesClauses).slice(0, maxResults);
+  }
+
+  return candidatePositions(index, parsed.terms)
+    .map((order) => ({ it: index.pool[order], order }))
+    .filter((x) => matchesClauses(x.it))
+    .map((x) => ({ ...x, match: scoreItem(x.it, parsed.terms) }))
+    .filter((x) => x.match)
+    .sort(
+      (a, b) =>
+        b.match.rank - a.match.rank ||
+        b.match.score - a.match.score ||
+        a.order - b.order
+    )
+    .slice(0, maxResults)
+    .map((x) => x.it);
+}
@@ -0,0 +1,93 @@
+// Stash helpers: pasted inventory parsing and keep/surplus splits.
+
+import { normalizeQuantity } from "./csv.js";
+
+// Parses pasted stash lines such as "Wires 40", "40x Wires" or
+// "Metal Parts: 1.5k". Lines naming unknown items are returned separately.
+export function parseStashText(text, items) {
+  const byName = new Map(items.map((item) => [item._normName, item]));
+  const entries = [];
+  const unmatched = [];
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match =
+        line.match(/^(\d+(?:\.\d+)?k?)\s*[x×]?\s+(.+)$/i) ||
+        line.match(/^(.+?)\s*[:,=\t]?\s*[x×]?\s*(\d+(?:\.\d+)?k?)$/i);
+      if (!match) {
+        unmatched.push(line);
+        return;
+      }
+      const countFirst = /^\d/.test(match[1]);
+      const name = (countFirst ? match[2] : match[1]).trim().toLowerCase();
+      const count = normalizeQuantity(countFirst ? match[1] : match[2]);
+      const item = byName.get(name);
+      if (item) entries.push({ item, count });
+      else unmatched.push(line);
+    });
+  return { entries, unmatched };
+}
+
+// Splits a held stack into what must be kept for outstanding requirements
+// and the surplus, with the surplus value at `unitValue` coins each.
+export function splitStack(held, keep, unitValue) {
+  const surplus = Math.max(0, held - keep);
+  return {
+    held,
+    keep,
+    surplus,
+    missing: Math.max(0, keep - held),
+    surplusValue: Number.isFinite(unitValue) ? surplus * unitValue : 0,
+  };
+}
+
+// Sale value against backpack space: coins per kg and for a full stack
+// slot. Missing numbers come back as null (a stack size of 0 means unknown).
+export function valueDensity(item) {
+  const number = (raw) =>
+    raw === undefined || raw === null || raw === "" ? NaN : Number(raw);
+  const value = number(item.ArcValue);
+  const weight = number(item.ArcWeightKg);
+  const stackSize = number(item.ArcStackSize);
+  const hasValue = Number.isFinite(value);
+  return {
+    value: hasValue ? value : null,
+    weight: Number.isFinite(weight) ? weight : null,
+    stackSize: stackSize > 0 ? stackSize : null,
+    perKg: hasValue && weight > 0 ? value / weight : null,
+    perSlot: hasValue && stackSize > 0 ? value * stackSize : null,
+  };
+}
+
+// Bulk advice for a parsed inventory ([{ item, count }], see
+// parseStashText): keep what requiredFor(item) still needs and sell the
+// rest. The sell list starts with the least coins per kg, the first things
+// to drop when the backpack is full.
+export function adviseInventory(entries, requiredFor) {
+  const keep = [];
+  const sell = [];
+  entries.forEach(({ item, count }) => {
+    const density = valueDensity(item);
+    const split = splitStack(count, requiredFor(item), density.value);
+    const kept = split.held - split.surplus;
+    if (kept > 0) keep.push({ item, count: kept, missing: split.missing });
+    if (split.surplus > 0) {
+      sell.push({
+        item,
+        count: split.surplus,
+        value: split.surplusValue,
+        perKg: density.perKg,
+      });
+    }
+  });
+  const perKg = (entry) => (entry.perKg === null ? Infinity : entry.perKg);
+  return {
+    keep: keep.sort((a, b) => a.item.Name.localeCompare(b.item.Name)),
+    sell: sell.sort(
+      (a, b) => perKg(a) - perKg(b) || a.item.Name.localeCompare(b.item.Name)
+    ),
+    sellValue: sell.reduce((sum, entry) => sum + entry.value, 0),
+  };
+}
@@ -0,0 +1,86 @@
+// Item stats from the items.json stat_block.
+
+// "staminaPerSecond" -> "Stamina Per Second", "increasedADSSpeed" ->
+// "Increased ADS Speed".
+export function statLabel(key) {
+  const words = String(key || "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Non-empty stats as [{ key, label, value }] in stat_block order. Zero and
+// blank values mean "not applicable" in items.json and are left out.
+export function statEntries(statBlock) {
+  return Object.entries(statBlock || {})
+    .filter(([, value]) => value !== 0 && value !== "" && value !== null)
+    .map(([key, value]) => ({ key, label: statLabel(key), value }));
+}
+
+// Stats where the smaller number is the better one; for every other numeric
+// stat the larger number wins.
+export const LOWER_IS_BETTER = new Set([
+  "weight",
+  "useTime",
+  "movementPenalty",
+  "increasedVerticalRecoil",
+  "increasedRecoilRecoveryTime",
+]);
+
+// Side-by-side rows for items.json records: every stat that is non-zero on
+// at least one of them, with the values in record order. better/worse flag
+// the winning and losing records when the values are numbers and differ;
+// records without the stat (missing or zero) are not ranked.
+export function compareStats(records) {
+  const keys = [];
+  records.forEach((record) =>
+    statEntries(record.stat_block).forEach(({ key }) => {
+      if (!keys.includes(key)) keys.push(key);
+    })
+  );
+  return keys.map((key) => {
+    const values = records.map((record) => record.stat_block?.[key]);
+    const lowerIsBetter = LOWER_IS_BETTER.has(key);
+    const row = {
+      key,
+      label: statLabel(key),
+      values,
+      lowerIsBetter,
+      better: values.map(() => false),
+      worse: values.map(() => false),
+    };
+    const numeric = values.every(
+      (value) =>
+        typeof value === "number" || value === undefined || value === null
+    );
+    const has = (value) => typeof value === "number" && value !== 0;
+    const numbers = values.filter(has);
+    if (!numeric || numbers.length < 2) return row;
+    const high = Math.max(...numbers);
+    const low = Math.min(...numbers);
+    if (high === low) return row;
+    row.better = values.map(
+      (value) => has(value) && value === (lowerIsBetter ? low : high)
+    );
+    row.worse = values.map(
+      (value) => has(value) && value === (lowerIsBetter ? high : low)
+    );
+    return row;
+  });
+}
+
+// Splits records by item_type (in first-seen order) and compares each group
+// on its own, since a shield's stats say nothing about a rifle's.
+export function compareByItemType(records) {
+  const groups = new Map();
+  records.forEach((record) => {
+    const itemType = record.item_type || "Other";
+    if (!groups.has(itemType)) groups.set(itemType, []);
+    groups.get(itemType).push(record);
+  });
+  return Array.from(groups, ([itemType, list]) => ({
+    itemType,
+    records: list,
+    rows: compareStats(list),
+  }));
+}
@@ -0,0 +1,69 @@
+// String helpers shared by the data layer and the UI.
+
+export function slugify(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+export function titleCase(text) {
+  return text.replace(/\b\w/g, (c) => c.toUpperCase());
+}
+
+export function normalizeFilterValue(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Drops accents one character at a time, so "Kühler" becomes "Kuhler" and
+// string positions stay the same (see nameHighlights).
+export function foldAccents(text) {
+  return Array.from(String(text || ""), (ch) => {
+    const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    return base.length === ch.length ? base : ch;
+  }).join("");
+}
+
+// Lower-cased, accent-free words of a name in any language.
+export function tokenizeName(name) {
+  return foldAccents(name)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_-]+/u)
+    .filter(Boolean);
+}
+
+export const RARITY_ALIASES = {
+  uncommon: "uncommon",
+  common: "common",
+  rare: "rare",
+  epic: "epic",
+  legendary: "legendary",
+  exotic: "legendary",
+  mythic: "legendary",
+  "ultra rare": "legendary",
+};
+
+export function getRarityClass(rarityText) {
+  const key = String(rarityText || "")
+    .trim()
+    .toLowerCase();
+  return RARITY_ALIASES[key] || key || "";
+}
+
+// Symbol per rarity, shown alongside the rarity colour.
+export const RARITY_MARKERS = {
+  common: "●",
+  uncommon: "◆",
+  rare: "▲",
+  epic: "★",
+  legendary: "✦",
+};
+
+// Rarity tiers from most to least common, used for sorting.
+export const RARITY_ORDER = ["common", "uncommon", "rare", "epic", "legendary"];
+
+export function formatCoins(value) {
+  return `₳${Math.round(value).toLocaleString()}`;
+}
@@ -0,0 +1,143 @@
+// Service worker: keeps the app usable offline and refreshes data files in
+// the background.
+//
+// - App shell (HTML, script, images) and data files are served from cache and
+//   revalidated over the network (stale-while-revalidate).
+// - When a revalidated data file (items.csv, items.json and its extra pages,
+//   recipes.csv, translations.csv) differs from the cached copy, open pages receive a
+//   { type: "data-updated" } message.
+// - Item icons from the CDN are cached on first use (cache-first).
+//
+// CACHE_NAME is the app's only cache-busting: bump it with every release so
+// the new worker precaches index.html and all of src/ together, fresh from
+// the network, and the page never pairs a new module with a stale one.
+
+const CACHE_NAME = "arc-upgrades-v23";
+const ICON_CACHE = "arc-upgrades-icons-v1";
+// Extra items.json pages; keep in step with JSON_PAGE_FILES in src/app.js.
+const JSON_PAGE_FILES = [];
+const PRECACHE = [
+  "./",
+  "index.html",
+  "src/app.js",
+  "src/csv.js",
+  "src/dataset.js",
+  "src/diff.js",
+  "src/export.js",
+  "src/filters.js",
+  "src/i18n.js",
+  "src/index.js",
+  "src/milestones.js",
+  "src/recipes.js",
+  "src/recycling.js",
+  "src/routes.js",
+  "src/search.js",
+  "src/stash.js",
+  "src/stats.js",
+  "src/text.js",
+  "items.csv",
+  "items.json",
+  "recipes.csv",
+  "translations.csv",
+  ...JSON_PAGE_FILES,
+  "manifest.webmanifest",
+  "arclogo.png",
+  "arcwallpaper.jpg",
+];
+const DATA_FILES = [
+  "items.csv",
+  "items.json",
+  "recipes.csv",
+  "translations.csv",
+  ...JSON_PAGE_FILES,
+];
+const ICON_HOST = "cdn.metaforge.app";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) =>
+        cache.addAll(
+          PRECACHE.map((url) => new Request(url, { cache: "reload" }))
+        )
+      )
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== CACHE_NAME && key !== ICON_CACHE)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+function isDataFile(url) {
+  return DATA_FILES.some((file) => url.pathname.endsWith(`/${file}`));
+}
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage(message));
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const cache = await caches.open(CACHE_NAME);
+  const url = new URL(request.url);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(async (response) => {
+      if (!response.ok) return response;
+      if (cached && isDataFile(url)) {
+        const [before, after] = await Promise.all([
+          cached.clone().text(),
+          response.clone().text(),
+        ]);
+        if (before !== after) {
+          notifyClients({ type: "data-updated", file: url.pathname });
+        }
+      }
+      await cache.put(url.pathname, response.clone());
+      return response;
+    })
+    .catch((err) => {
+      if (cached) return cached;
+      throw err;
+    });
+  if (!cached) return network;
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(ICON_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Cross-origin icons come back opaque (status 0); cache those too.
+  if (response.ok || response.type === "opaque") {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (url.hostname === ICON_HOST) {
+    event.respondWith(cacheFirst(request));
+  }
+});
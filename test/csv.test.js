@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  isCommentRow,
+  normalizeQuantity,
+  parseCSV,
+  splitLocations,
+  toObjects,
+} from "../src/index.js";
+
+test("parseCSV keeps commas, newlines and escaped quotes inside quotes", () => {
+  const rows = parseCSV(
+    'Name,Description\r\nWires,"Used for traps, mines\nand ""more""."\r\n'
+  );
+  assert.deepEqual(rows, [
+    ["Name", "Description"],
+    ["Wires", 'Used for traps, mines\nand "more".'],
+  ]);
+});
+
+test("parseCSV keeps a last row without a trailing newline", () => {
+  assert.deepEqual(parseCSV("a,b\n1,"), [
+    ["a", "b"],
+    ["1", ""],
+  ]);
+});
+
+test("normalizeQuantity reads plain numbers and k suffixes", () => {
+  assert.equal(normalizeQuantity("12"), 12);
+  assert.equal(normalizeQuantity(" 7 "), 7);
+  assert.equal(normalizeQuantity("1.5k"), 1500);
+  assert.equal(normalizeQuantity("2K"), 2000);
+  assert.equal(normalizeQuantity(""), 0);
+  assert.equal(normalizeQuantity(undefined), 0);
+  assert.equal(normalizeQuantity("lots"), 0);
+});
+
+test("splitLocations splits on commas, semicolons and pipes", () => {
+  assert.deepEqual(splitLocations("Residential, Commercial"), [
+    "Residential",
+    "Commercial",
+  ]);
+  assert.deepEqual(splitLocations("Medical; Industrial|Exodus"), [
+    "Medical",
+    "Industrial",
+    "Exodus",
+  ]);
+  assert.deepEqual(splitLocations("  "), [""]);
+});
+
+test("isCommentRow spots section headings", () => {
+  assert.equal(isCommentRow(["# New Quests"]), true);
+  assert.equal(isCommentRow(["wires_g1", "Wires"]), false);
+});
+
+test("toObjects fans out multi-location rows and skips comments", () => {
+  const rows = toObjects(
+    parseCSV(
+      "ItemID,Name,Quantity,LocationType\n" +
+        "# Benches\n" +
+        'wires_g1, Wires ,1.5k,"Residential, Commercial"\n' +
+        "\n" +
+        "fuse_g1,Fuse,2,\n"
+    )
+  );
+  assert.deepEqual(
+    rows.map((row) => [row.ItemID, row.LocationType, row.Quantity]),
+    [
+      ["wires_g1", "Residential", 1500],
+      ["wires_g1", "Commercial", 1500],
+      ["fuse_g1", "", 2],
+    ]
+  );
+  assert.equal(rows[0]._normName, "wires");
+});
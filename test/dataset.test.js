@@ -0,0 +1,297 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  aggregateItems,
+  buildJsonMap,
+  catalogueItems,
+  deriveQuestName,
+  itemByName,
+  loadDataset,
+  parseCSV,
+  requirementsFor,
+  search,
+  toObjects,
+} from "../src/index.js";
+import { csvText, dataset, json } from "./helpers.js";
+
+test("deriveQuestName drops the item part of the ItemID", () => {
+  assert.equal(
+    deriveQuestName("battery_rusty_gate", "battery", "battery", ""),
+    "Rusty Gate"
+  );
+  assert.equal(
+    deriveQuestName("arc_alloy_clean_sweep", "arc_alloy", "", ""),
+    "Clean Sweep"
+  );
+  assert.equal(
+    deriveQuestName("cooling_fan_deep_signal", "cooling_fans", "cooling_fan"),
+    "Deep Signal"
+  );
+  assert.equal(deriveQuestName("wires", "wires", "wires", ""), "");
+  assert.equal(deriveQuestName("", "wires"), "");
+});
+
+test("aggregateItems merges rows into one item per name", () => {
+  assert.deepEqual(
+    dataset.items.map((item) => item.Name),
+    [
+      "Wires",
+      "Battery",
+      "Cooling Fans",
+      "Adrenaline Shot",
+      "Wire Spool",
+      "Power Cable",
+      "Mechanical Components",
+      "Advanced Mechanical Components",
+    ]
+  );
+  const wires = itemByName(dataset, " WIRES ");
+  assert.deepEqual(wires.LocationList, [
+    "Residential",
+    "Commercial",
+    "Technological",
+  ]);
+  assert.ok(wires.FilterKeys.has("station:gear bench|2"));
+  assert.ok(wires.FilterKeys.has("location:commercial"));
+});
+
+test("aggregateItems dedupes usage entries by station, tier, quantity, source and quest", () => {
+  const wires = itemByName(dataset, "Wires");
+  assert.deepEqual(wires.UsageEntries, [
+    {
+      station: "Gear Bench",
+      tier: "1",
+      quantity: 10,
+      source: "Item",
+      questName: "",
+      questId: "",
+      questOrder: 0,
+    },
+    {
+      station: "Gear Bench",
+      tier: "2",
+      quantity: 1500,
+      source: "Item",
+      questName: "",
+      questId: "",
+      questOrder: 0,
+    },
+    {
+      station: "Quest: Mixed Signals",
+      tier: "0",
+      quantity: 5,
+      source: "Quest",
+      questName: "Mixed Signals",
+      questId: "mixed_signals",
+      questOrder: 0,
+    },
+  ]);
+  assert.deepEqual(itemByName(dataset, "Wire Spool").UsageEntries, []);
+  assert.equal(
+    itemByName(dataset, "Battery").UsageEntries[0].questName,
+    "Rusty Gate"
+  );
+});
+
+test("aggregateItems takes quest identifiers from QuestID or the Station", () => {
+  const [fuse] = aggregateItems(
+    toObjects(
+      parseCSV(
+        "ItemID,Name,Quantity,Station,Tier,Source,QuestID,QuestOrder\n" +
+          "fuse_a,Fuse,1,Quest,0,Quest,night_shift,2\n" +
+          "fuse_b,Fuse,2,Quest: Doctor's Orders,0,Quest,,1\n" +
+          "fuse_rusty_gate,Fuse,3,Quest,0,Quest,,\n"
+      )
+    )
+  );
+  assert.deepEqual(
+    fuse.UsageEntries.map((entry) => [
+      entry.questId,
+      entry.questName,
+      entry.tier,
+      entry.questOrder,
+    ]),
+    [
+      ["night_shift", "Night Shift", "0", 2],
+      ["doctors_orders", "Doctor's Orders", "0", 1],
+      // Guessed from the ItemID: no identifier.
+      ["", "Rusty Gate", "0", 0],
+    ]
+  );
+  // Quests keep their bench-style station filter key.
+  assert.ok(fuse.FilterKeys.has("station:quest: doctor's orders|0"));
+});
+
+test("aggregateItems keeps usage that differs only in quantity", () => {
+  const rows = toObjects(
+    parseCSV(
+      "ItemID,Name,Quantity,Station,Tier,Source\n" +
+        "a,Fuse,2,Gunsmith,1,Item\n" +
+        "b,Fuse,2,Gunsmith,1,Item\n" +
+        "c,Fuse,3,Gunsmith,1,Item\n"
+    )
+  );
+  const [fuse] = aggregateItems(rows);
+  assert.deepEqual(
+    fuse.UsageEntries.map((entry) => entry.quantity),
+    [2, 3]
+  );
+});
+
+test("aggregateItems fills missing metadata from items.json", () => {
+  const shot = itemByName(dataset, "Adrenaline Shot");
+  assert.equal(
+    shot.IconURL,
+    "https://cdn.metaforge.app/arc-raiders/icons/adrenaline-shot.webp"
+  );
+  assert.equal(shot.ArcWeightKg, 0.2);
+  assert.equal(shot.ArcStackSize, 5);
+
+  // CSV values win over items.json.
+  const wires = itemByName(dataset, "Wires");
+  assert.equal(wires.ArcWeightKg, "0.25");
+  assert.equal(wires.ArcStackSize, "15");
+  assert.equal(
+    wires.IconURL,
+    "https://cdn.metaforge.app/arc-raiders/icons/wires-custom.webp"
+  );
+});
+
+test("aggregateItems records whether a value came from Arc, Meta or items.json", () => {
+  const fans = itemByName(dataset, "Cooling Fans");
+  assert.equal(fans.ArcStackSize, "5");
+  assert.deepEqual(fans.Provenance.stackSize, { columns: "Meta", source: "" });
+  assert.deepEqual(fans.Provenance.value, { columns: "Arc", source: "" });
+  assert.equal(fans.Provenance.weight, undefined);
+  assert.deepEqual(itemByName(dataset, "Adrenaline Shot").Provenance.weight, {
+    columns: "items.json",
+    source: "items.json",
+  });
+});
+
+test("loadDataset merges CSV sources, later ones winning", () => {
+  const header =
+    "ItemID,Name,Quantity,Station,Tier,Source,ArcValue,MetaValue\n";
+  const merged = loadDataset(
+    [
+      {
+        name: "items.csv",
+        text:
+          header +
+          "fuse_g1,Fuse,2,Gunsmith,1,Item,100,\n" +
+          "fuse_g2,Fuse,4,Gunsmith,2,Item,100,\n",
+      },
+      {
+        name: "mine.csv",
+        text: header + "fuse_g1b,Fuse,3,Gunsmith,1,Item,,150\n",
+      },
+    ],
+    null
+  );
+  const [fuse] = merged.items;
+  assert.equal(fuse.ArcValue, "150");
+  assert.deepEqual(fuse.Provenance.value, {
+    columns: "Meta",
+    source: "mine.csv",
+  });
+  assert.deepEqual(fuse.DataSources, ["mine.csv", "items.csv"]);
+  assert.deepEqual(
+    fuse.UsageEntries.map((entry) => `${entry.tier}:${entry.quantity}`),
+    ["1:3", "2:4"]
+  );
+});
+
+test("filter keys follow the source that wins a field", () => {
+  const merged = loadDataset(
+    [
+      { name: "items.csv", text: csvText },
+      {
+        name: "mine.csv",
+        text: "ItemID,Name,Quantity,Station,Tier,Source,ArcRarity,ArcValue\nwires_mine,Wires,10,Gear Bench,1,Item,Epic,999\n",
+      },
+    ],
+    json
+  );
+  const wires = itemByName(merged, "Wires");
+  assert.ok(wires.FilterKeys.has("rarity:epic"));
+  assert.ok(wires.FilterKeys.has("value:999"));
+  assert.ok(!wires.FilterKeys.has("rarity:uncommon"));
+  assert.ok(!wires.FilterKeys.has("value:200"));
+  assert.deepEqual(
+    search(merged, "rarity:uncommon wires").map((item) => item.Name),
+    []
+  );
+});
+
+test("aggregateItems falls back to an icon URL built from the item ids", () => {
+  assert.equal(
+    itemByName(dataset, "Cooling Fans").IconURL,
+    "https://cdn.metaforge.app/arc-raiders/icons/cooling-fan.webp"
+  );
+  assert.equal(
+    itemByName(dataset, "Battery").IconURL,
+    "https://cdn.metaforge.app/arc-raiders/icons/battery.webp"
+  );
+});
+
+test("buildJsonMap accepts the API payload or a plain array", () => {
+  assert.deepEqual(Array.from(buildJsonMap(json).keys()), [
+    "adrenaline shot",
+    "wires",
+  ]);
+  assert.deepEqual(Array.from(buildJsonMap(json.data).keys()), [
+    "adrenaline shot",
+    "wires",
+  ]);
+  assert.equal(buildJsonMap(null).size, 0);
+});
+
+test("buildJsonMap merges the pages of a paginated export", () => {
+  const second = { data: [{ name: "Anvil I" }], pagination: { page: 2 } };
+  assert.deepEqual(Array.from(buildJsonMap([json, second]).keys()), [
+    "adrenaline shot",
+    "wires",
+    "anvil i",
+  ]);
+});
+
+test("catalogueItems adds items.json records missing from the CSV", () => {
+  const json = {
+    data: [
+      { name: "Wires", value: 200 },
+      {
+        name: "Anvil I",
+        item_type: "Weapon",
+        rarity: "Rare",
+        value: 5000,
+        stat_block: { weight: 8, stackSize: 1 },
+      },
+    ],
+  };
+  const items = catalogueItems(loadDataset(csvText, json));
+  assert.equal(items.length, dataset.items.length + 1);
+  const anvil = items[items.length - 1];
+  assert.equal(anvil.Name, "Anvil I");
+  assert.equal(anvil._normName, "anvil i");
+  assert.equal(anvil.ArcValue, 5000);
+  assert.equal(anvil.ArcWeightKg, 8);
+  assert.deepEqual(anvil.UsageEntries, []);
+});
+
+test("loadDataset reports the newest update date", () => {
+  assert.equal(dataset.asOf.toISOString(), "2025-11-09T00:00:00.000Z");
+});
+
+test("requirementsFor lists a bench tier, every tier, or a quest", () => {
+  const names = (list) => list.map((req) => `${req.name} x${req.quantity}`);
+  assert.deepEqual(names(requirementsFor(dataset, "Gear Bench", 2)), [
+    "Wires x1500",
+  ]);
+  assert.deepEqual(names(requirementsFor(dataset, "Gear Bench")), [
+    "Wires x10",
+    "Wires x1500",
+  ]);
+  assert.deepEqual(names(requirementsFor(dataset, "Quest: Mixed Signals")), [
+    "Wires x5",
+  ]);
+});
@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  diffDatasets,
+  diffToMarkdown,
+  loadDataset,
+  translate,
+} from "../src/index.js";
+import { csvText, dataset, json } from "./helpers.js";
+
+const before = dataset;
+
+// A later version: Wires cost more at Gear Bench 1, Power Cable turned Epic
+// and worth more, Adrenaline Shot is gone and a quest brings in Fuses.
+const after = loadDataset(
+  csvText
+    .replace("wires_g1,Wires,10,", "wires_g1,Wires,12,")
+    .replace("wires_g1_dup,Wires,10,", "wires_g1_dup,Wires,12,")
+    .replace("Rare,Topside Material,640", "Epic,Topside Material,800")
+    .replace(/^adrenaline_shot,.*\n/m, "")
+    .replace(/^q_signal_wires,.*\n/m, "") +
+    "fuse_night_shift,Fuse,4,Quest: Night Shift,0,Electrical,Electrical,,Quest,fuse,Common,Topside Material,100,10,0.1,Electrical,A fuse.,12/01/2025,,,,,,,,\n",
+  json
+);
+
+test("diffDatasets lists added and removed items and quests", () => {
+  const diff = diffDatasets(before, after);
+  assert.deepEqual(
+    diff.added.map((item) => item.Name),
+    ["Fuse"]
+  );
+  assert.deepEqual(
+    diff.removed.map((item) => item.Name),
+    ["Adrenaline Shot"]
+  );
+  assert.deepEqual(diff.quests, {
+    added: ["Night Shift"],
+    removed: ["Mixed Signals"],
+  });
+  assert.equal(diff.asOf.after.toISOString(), "2025-12-01T00:00:00.000Z");
+});
+
+test("diffDatasets reports quantity and field changes per item", () => {
+  const diff = diffDatasets(before, after);
+  assert.deepEqual(
+    diff.changed.map(({ item }) => item.Name),
+    ["Power Cable", "Wires"]
+  );
+  const [cable, wires] = diff.changed;
+  assert.deepEqual(
+    cable.fields.map(({ key, before, after }) => [key, before, after]),
+    [
+      ["rarity", "Rare", "Epic"],
+      ["value", "640", "800"],
+    ]
+  );
+  assert.deepEqual(cable.usage, []);
+  assert.deepEqual(wires.usage, [
+    {
+      key: "station:gear bench|1",
+      label: "Gear Bench 1",
+      before: 10,
+      after: 12,
+    },
+    {
+      key: "quest:mixed_signals",
+      label: "Quest: Mixed Signals",
+      before: 5,
+      after: null,
+    },
+  ]);
+  assert.deepEqual(diffDatasets(before, before).changed, []);
+});
+
+test("diffToMarkdown writes patch notes", () => {
+  const markdown = diffToMarkdown(diffDatasets(before, after), {
+    before: "v1",
+    after: "v2",
+  });
+  assert.match(
+    markdown,
+    /^# What changed\n\nv1 \(data as of 2025-11-09\) → v2/
+  );
+  assert.match(markdown, /## New quests \(1\)\n\n- Night Shift\n/);
+  assert.match(markdown, /- \*\*Fuse\*\* \(Common\): Quest: Night Shift ×4/);
+  assert.match(markdown, /  - Value: ₳640 → ₳800\n/);
+  assert.match(markdown, /  - Gear Bench 1: 10 → 12\n/);
+  assert.match(
+    markdown,
+    /  - Quest: Mixed Signals: no longer needed \(was 5\)/
+  );
+  assert.match(diffToMarkdown(diffDatasets(before, before)), /No changes\./);
+});
+
+test("diffToMarkdown labels both versions the same way, in any language", () => {
+  const diff = diffDatasets(before, after);
+  assert.match(
+    diffToMarkdown(diff),
+    /^# What changed\n\nBefore \(data as of 2025-11-09\) → After \(data as of/
+  );
+  const german = diffToMarkdown(diff, {}, (key, params) =>
+    translate("de", key, params)
+  );
+  assert.match(
+    german,
+    /^# Änderungen\n\nVorher \(Datenstand 2025-11-09\) → Nachher/
+  );
+  assert.match(german, /## Neue Quests \(1\)/);
+  assert.match(german, /  - Wert: ₳640 → ₳800\n/);
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  USAGE_COLUMNS,
+  buildMilestoneGroups,
+  buildShoppingList,
+  parseCSV,
+  shoppingRows,
+  toCSV,
+  toJSON,
+  toMarkdown,
+  usageRows,
+} from "../src/index.js";
+import { dataset, item } from "./helpers.js";
+
+test("usageRows gives one row per usage entry", () => {
+  const rows = usageRows([item("Wires"), item("Wire Spool")]);
+  assert.deepEqual(
+    rows.map((row) => [row.Name, row.Quantity, row.Station, row.Tier]),
+    [
+      ["Wires", 10, "Gear Bench", "1"],
+      ["Wires", 1500, "Gear Bench", "2"],
+      ["Wires", 5, "Quest: Mixed Signals", "0"],
+      ["Wire Spool", "", "", ""],
+    ]
+  );
+  assert.equal(rows[2].Quest, "Mixed Signals");
+  assert.equal(rows[0].LocationType, "Residential, Commercial, Technological");
+  const outstanding = usageRows([item("Wires")], (it) =>
+    it.UsageEntries.filter((entry) => entry.tier !== "1")
+  );
+  assert.equal(outstanding.length, 2);
+});
+
+test("toCSV uses items.csv column names and round-trips through parseCSV", () => {
+  const rows = usageRows([item("Wires")]);
+  const parsed = parseCSV(toCSV(rows, USAGE_COLUMNS));
+  assert.deepEqual(parsed[0], USAGE_COLUMNS);
+  assert.equal(parsed.length, rows.length + 1);
+  assert.equal(
+    parsed[1][USAGE_COLUMNS.indexOf("LocationType")],
+    rows[0].LocationType
+  );
+  assert.equal(
+    toCSV([{ Name: 'Say "hi"\nthere' }], ["Name"]),
+    'Name\n"Say ""hi""\nthere"\n'
+  );
+});
+
+test("toJSON keeps only the chosen columns", () => {
+  assert.deepEqual(
+    JSON.parse(
+      toJSON(
+        [{ Name: "Wires", Quantity: 10, extra: 1 }],
+        ["Name", "Quantity", "Tier"]
+      )
+    ),
+    [{ Name: "Wires", Quantity: 10, Tier: "" }]
+  );
+});
+
+test("toMarkdown writes a table and escapes pipes", () => {
+  assert.equal(
+    toMarkdown([{ Name: "A|B", Quantity: 2 }], ["Name", "Quantity"]),
+    "| Name | Quantity |\n| --- | --- |\n| A\\|B | 2 |\n"
+  );
+});
+
+test("shoppingRows lists a goal's items with the steps needing them", () => {
+  const bench = buildMilestoneGroups(dataset.items).find(
+    (group) => group.name === "Gear Bench"
+  );
+  const rows = shoppingRows(buildShoppingList(bench.steps));
+  assert.deepEqual(rows, [
+    {
+      Name: "Wires",
+      Quantity: 1510,
+      ArcRarity: "Uncommon",
+      LocationType: "Electrical",
+      Station: "Gear Bench 1, Gear Bench 2",
+    },
+  ]);
+});
@@ -0,0 +1,29 @@
+// Shared test setup: the files in test/fixtures and the data set built from
+// them, so a change to the fixture schema is made in one place.
+
+import fs from "node:fs";
+import { itemByName, loadDataset } from "../src/index.js";
+
+export const fixture = (name) =>
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+export const csvText = fixture("items.csv");
+export const json = JSON.parse(fixture("items.json"));
+
+// The fixture items.csv and items.json, plus the fixture recipes.csv and
+// translations.csv when asked for.
+export function loadFixtureDataset({
+  recipes = false,
+  translations = false,
+} = {}) {
+  return loadDataset(
+    csvText,
+    json,
+    recipes ? fixture("recipes.csv") : "",
+    translations ? fixture("translations.csv") : ""
+  );
+}
+
+export const dataset = loadFixtureDataset();
+
+export const item = (name) => itemByName(dataset, name);
@@ -0,0 +1,120 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  MESSAGES,
+  describeFieldChange,
+  describeUsageChange,
+  itemByName,
+  localizedDescription,
+  localizedName,
+  nameHighlights,
+  parseQuery,
+  parseTranslations,
+  pickLocale,
+  search,
+  translate,
+} from "../src/index.js";
+import { fixture, loadFixtureDataset } from "./helpers.js";
+
+const dataset = loadFixtureDataset({ translations: true });
+const names = (list) => list.map((item) => item.Name);
+
+test("translate fills placeholders and falls back to English", () => {
+  assert.equal(translate("de", "quantity", { count: 5 }), "Menge: 5");
+  assert.equal(
+    translate("fr", "noMatches", { query: "fuse" }),
+    "Aucun résultat pour « fuse »."
+  );
+  assert.equal(translate("xx", "required"), "Required");
+  assert.equal(translate("de", "no such key"), "no such key");
+});
+
+test("translate picks plural forms by count", () => {
+  assert.equal(
+    translate("en", "completedHidden", { count: 1 }),
+    "1 completed requirement hidden."
+  );
+  assert.equal(
+    translate("de", "completedHidden", { count: 3 }),
+    "3 erledigte Anforderungen ausgeblendet."
+  );
+  assert.equal(
+    translate("fr", "resultsCount", { count: 1 }),
+    "1 objet trouvé."
+  );
+});
+
+test("every UI string is translated into each language", () => {
+  const english = Object.keys(MESSAGES.en).sort();
+  Object.entries(MESSAGES).forEach(([locale, table]) =>
+    assert.deepEqual(Object.keys(table).sort(), english, locale)
+  );
+});
+
+test("diff lines are described in the requested language", () => {
+  const t = (key, params) => translate("de", key, params);
+  assert.equal(
+    describeFieldChange({ key: "weight", before: "", after: 0.5 }, t),
+    "Gewicht: keine → 0.5"
+  );
+  assert.equal(
+    describeUsageChange({ label: "Gear Bench 1", before: 4, after: null }, t),
+    "Gear Bench 1: nicht mehr benötigt (vorher 4)"
+  );
+  assert.equal(
+    describeUsageChange({ label: "Gear Bench 1", before: null, after: 4 }),
+    "Gear Bench 1: new (4)"
+  );
+});
+
+test("pickLocale takes the first supported browser language", () => {
+  assert.equal(pickLocale(["de-AT", "en-US"]), "de");
+  assert.equal(pickLocale(["es", "fr-CA"]), "fr");
+  assert.equal(pickLocale(["es"]), "en");
+  assert.equal(pickLocale(), "en");
+});
+
+test("parseTranslations groups localized names by item and locale", () => {
+  const translations = parseTranslations(fixture("translations.csv"));
+  assert.deepEqual(translations.get("wires"), {
+    de: { name: "Kabel", description: "Zum Herstellen vieler Gegenstände." },
+    fr: { name: "Câbles", description: "" },
+  });
+  assert.equal(translations.has("battery"), false);
+  assert.equal(parseTranslations("").size, 0);
+});
+
+test("items carry localized names and descriptions", () => {
+  const wires = itemByName(dataset, "Wires");
+  assert.equal(localizedName(wires, "de"), "Kabel");
+  assert.equal(localizedName(wires, "en"), "Wires");
+  assert.equal(
+    localizedDescription(wires, "de"),
+    "Zum Herstellen vieler Gegenstände."
+  );
+  assert.match(localizedDescription(wires, "fr"), /^Used to craft/);
+  assert.deepEqual(itemByName(dataset, "Battery").LocalizedNames, {});
+});
+
+test("search matches names in any loaded language, with or without accents", () => {
+  assert.deepEqual(names(search(dataset, "kabel")), ["Wires"]);
+  // "Câbles" is also a near miss for Power Cable, but ranks below.
+  ["câbles", "cables"].forEach((query) =>
+    assert.deepEqual(names(search(dataset, query)), ["Wires", "Power Cable"])
+  );
+  assert.deepEqual(names(search(dataset, "kühlventilatoren")), [
+    "Cooling Fans",
+  ]);
+  assert.deepEqual(names(search(dataset, "kuhlventilatoren")), [
+    "Cooling Fans",
+  ]);
+  // The English name still ranks first for English words.
+  assert.equal(search(dataset, "wires")[0].Name, "Wires");
+});
+
+test("nameHighlights marks accented names", () => {
+  assert.deepEqual(
+    nameHighlights("Kühlventilatoren", parseQuery("kuhl").terms),
+    [[0, 4]]
+  );
+});
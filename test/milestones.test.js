@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  aggregateItems,
+  buildTimelines,
+  milestoneForEntry,
+  parseCSV,
+  toObjects,
+} from "../src/index.js";
+
+const items = aggregateItems(
+  toObjects(
+    parseCSV(
+      "ItemID,Name,Quantity,Station,Tier,Source,QuestID,QuestOrder\n" +
+        "wires_g1,Wires,10,Gear Bench,1,Item,,\n" +
+        "wires_exp2,Wires,4,Expedition: Part 2,0,Expedition,,\n" +
+        "fuse_exp1,Fuse,2,Expedition: Part 1,0,Expedition,,\n" +
+        "wires_exp1,Wires,3,Expedition: Part 1,0,Expedition,,\n" +
+        "q_mixed_wires,Wires,5,Quest: Mixed Signals,0,Quest,mixed_signals,2\n" +
+        "q_start_fuse,Fuse,1,Quest: Starting Out,0,Quest,starting_out,1\n"
+    )
+  )
+);
+
+test("milestoneForEntry keys quests by QuestID and orders them by QuestOrder", () => {
+  assert.deepEqual(
+    milestoneForEntry({
+      station: "Quest: Mixed Signals",
+      tier: "0",
+      questName: "Mixed Signals",
+      questId: "mixed_signals",
+      questOrder: 2,
+    }),
+    {
+      key: "quest:mixed_signals",
+      label: "Quest: Mixed Signals",
+      questName: "Mixed Signals",
+      group: "Quests",
+      order: 2,
+    }
+  );
+});
+
+test("buildTimelines lays out projects and the quest chain in order", () => {
+  const timelines = buildTimelines(items);
+  assert.deepEqual(
+    timelines.map((timeline) => [
+      timeline.name,
+      timeline.steps.map((step) => step.label),
+    ]),
+    [
+      ["Expedition", ["Expedition: Part 1", "Expedition: Part 2"]],
+      ["Quests", ["Quest: Starting Out", "Quest: Mixed Signals"]],
+    ]
+  );
+  const [expedition] = timelines;
+  assert.deepEqual(
+    expedition.steps[0].items.map(({ item, quantity }) => [
+      item.Name,
+      quantity,
+    ]),
+    [
+      ["Wires", 3],
+      ["Fuse", 2],
+    ]
+  );
+  assert.equal(expedition.units, 9);
+});
+
+test("buildTimelines spends held items on the earliest unfinished steps", () => {
+  const held = { wires: 5, fuse: 1 };
+  const done = new Set(["project:expedition: part 1"]);
+  const [expedition, quests] = buildTimelines(
+    items,
+    (key) => done.has(key),
+    (item) => held[item._normName]
+  );
+  assert.equal(expedition.stepsDone, 1);
+  // Part 1 is done, so its 3 Wires and 2 Fuses count without using the stash.
+  assert.equal(expedition.steps[0].collected, 5);
+  assert.deepEqual(
+    expedition.steps[1].items.map((line) => line.held),
+    [4]
+  );
+  assert.equal(expedition.collected, 9);
+  // One Wire is left for Mixed Signals after Part 2.
+  assert.deepEqual(
+    quests.steps.map((step) => step.collected),
+    [1, 1]
+  );
+  assert.equal(quests.stepsDone, 0);
+});
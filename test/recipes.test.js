@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  isBenchUnlocked,
+  itemByName,
+  loadDataset,
+  parseRecipes,
+  planCrafting,
+} from "../src/index.js";
+import { fixture, loadFixtureDataset } from "./helpers.js";
+
+const recipesText = fixture("recipes.csv");
+const dataset = loadFixtureDataset({ recipes: true });
+
+test("parseRecipes groups ingredient rows into recipes", () => {
+  const recipes = parseRecipes(recipesText);
+  assert.deepEqual(
+    recipes.map((recipe) => [recipe.name, recipe.station, recipe.tier]),
+    [
+      ["Wire Spool", "Workbench", "0"],
+      ["Power Cable", "Workbench", "0"],
+      ["Adrenaline Shot", "Medical Lab", "1"],
+      ["Advanced Mechanical Components", "Gunsmith", "2"],
+    ]
+  );
+  assert.equal(recipes[1].yield, 2);
+  assert.deepEqual(recipes[1].ingredients, [
+    { name: "Wires", key: "wires", quantity: 3 },
+    { name: "Battery", key: "battery", quantity: 1 },
+  ]);
+});
+
+test("parseRecipes ignores files without the recipe columns", () => {
+  assert.deepEqual(parseRecipes(""), []);
+  assert.deepEqual(parseRecipes("Name,Quantity\nWires,3\n"), []);
+});
+
+test("loadDataset links recipes to the crafted item and its ingredients", () => {
+  const spool = itemByName(dataset, "Wire Spool");
+  assert.deepEqual(
+    spool.Recipes.map((recipe) => recipe.station),
+    ["Workbench"]
+  );
+  const wires = itemByName(dataset, "Wires");
+  assert.deepEqual(
+    wires.UsedIn.map(({ recipe, quantity }) => [recipe.name, quantity]),
+    [
+      ["Wire Spool", 5],
+      ["Power Cable", 3],
+      ["Advanced Mechanical Components", 3],
+    ]
+  );
+  assert.deepEqual(itemByName(dataset, "Cooling Fans").Recipes, []);
+  assert.equal(loadDataset("", null).recipes.length, 0);
+});
+
+test("isBenchUnlocked needs the tier or a higher one completed", () => {
+  const completed = new Set(["station:gunsmith|3", "quest:mixed signals"]);
+  assert.equal(isBenchUnlocked("Workbench", "0", completed), true);
+  assert.equal(isBenchUnlocked("Gunsmith", "2", completed), true);
+  assert.equal(isBenchUnlocked("Medical Lab", "1", completed), false);
+});
+
+test("planCrafting splits recipes into ready, short and locked", () => {
+  const plan = planCrafting(
+    dataset.recipes,
+    { wires: 11, battery: 1, "mechanical components": 1 },
+    new Set(["station:gunsmith|2"])
+  );
+  assert.deepEqual(
+    plan.ready.map(({ recipe, crafts }) => [recipe.name, crafts]),
+    [
+      ["Power Cable", 1],
+      ["Wire Spool", 2],
+    ]
+  );
+  assert.deepEqual(
+    plan.short.map(({ recipe, missing }) => [
+      recipe.name,
+      missing.map((ing) => `${ing.name} ${ing.held}/${ing.quantity}`),
+    ]),
+    [["Advanced Mechanical Components", ["Mechanical Components 1/2"]]]
+  );
+  assert.deepEqual(
+    plan.locked.map((recipe) => recipe.name),
+    ["Adrenaline Shot"]
+  );
+});
+
+test("a blank Tier means the basic workbench, which is always unlocked", () => {
+  const [spool] = parseRecipes(
+    "Item,Yield,Station,Tier,Ingredient,Quantity\nWire Spool,,Workbench,,Wires,5\n"
+  );
+  assert.equal(spool.tier, "0");
+  assert.equal(spool.yield, 1);
+  assert.equal(isBenchUnlocked("Workbench", "", new Set()), true);
+  const plan = planCrafting([spool], { wires: 4 });
+  assert.deepEqual(plan.locked, []);
+  assert.deepEqual(
+    plan.short.map(({ recipe, missing }) => [
+      recipe.name,
+      missing.map((ing) => `${ing.name} ${ing.held}/${ing.quantity}`),
+    ]),
+    [["Wire Spool", ["Wires 4/5"]]]
+  );
+});
+
+test("planCrafting checks each recipe sharing an ingredient against the whole stash", () => {
+  const recipes = parseRecipes(
+    "Item,Yield,Station,Tier,Ingredient,Quantity\n" +
+      "Wire Spool,1,Workbench,,Wires,5\n" +
+      "Power Cable,2,Workbench,0,Wires,3\n" +
+      "Power Cable,2,Workbench,0,Battery,1\n"
+  );
+  // Each count says how often that recipe alone could be crafted; the
+  // 6 Wires are not split between the two recipes.
+  assert.deepEqual(
+    planCrafting(recipes, { wires: 6, battery: 3 }).ready.map(
+      ({ recipe, crafts }) => [recipe.name, crafts]
+    ),
+    [
+      ["Power Cable", 2],
+      ["Wire Spool", 1],
+    ]
+  );
+});
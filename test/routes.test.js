@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { itemLocations, rankLocations, rarityWeight } from "../src/index.js";
+import { item } from "./helpers.js";
+
+test("itemLocations merges ArcFoundIn and LocationType values", () => {
+  assert.deepEqual(itemLocations(item("Wires")), [
+    "Electrical",
+    "Technological",
+    "Residential",
+    "Commercial",
+  ]);
+  assert.deepEqual(itemLocations({ LocationList: [] }), []);
+});
+
+test("rarityWeight counts rarer items for more", () => {
+  assert.equal(rarityWeight(item("Adrenaline Shot")), 1);
+  assert.equal(rarityWeight(item("Wires")), 2);
+  assert.equal(rarityWeight(item("Cooling Fans")), 3);
+  assert.equal(rarityWeight({}), 1);
+});
+
+test("rankLocations scores locations by rarity-weighted units", () => {
+  const ranked = rankLocations([
+    { item: item("Wires"), quantity: 4 },
+    { item: item("Cooling Fans"), quantity: 5 },
+    { item: item("Adrenaline Shot"), quantity: 2 },
+    { item: item("Battery"), quantity: 0 },
+  ]);
+  assert.deepEqual(
+    ranked.map((entry) => [
+      entry.location,
+      entry.itemCount,
+      entry.units,
+      entry.score,
+    ]),
+    [
+      ["Technological", 2, 9, 23],
+      ["Commercial", 1, 4, 8],
+      ["Electrical", 1, 4, 8],
+      ["Residential", 1, 4, 8],
+      ["Medical", 1, 2, 2],
+    ]
+  );
+  assert.deepEqual(
+    ranked[0].items.map((entry) => entry.item.Name),
+    ["Cooling Fans", "Wires"]
+  );
+});
@@ -0,0 +1,150 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  QueryError,
+  nameHighlights,
+  parseQuery,
+  search,
+  searchIndex,
+  similarity,
+  translate,
+} from "../src/index.js";
+import {
+  MATCH_EXACT,
+  MATCH_PREFIX,
+  MATCH_TYPO,
+  editDistance,
+  scoreItem,
+} from "../src/search.js";
+import { dataset } from "./helpers.js";
+
+const names = (results) => results.map((item) => item.Name);
+
+test("similarity is Jaro-Winkler over whole strings", () => {
+  assert.equal(similarity("Wires", " wires "), 1);
+  assert.equal(similarity("abc", "xyz"), 0);
+  assert.ok(similarity("wries", "wires") > 0.9);
+  assert.ok(
+    similarity("cooling fanz", "cooling fans") >
+      similarity("cooling fanz", "wire spool")
+  );
+});
+
+test("editDistance counts a swap of neighbouring letters as one edit", () => {
+  assert.equal(editDistance("mechancial", "mechanical"), 1);
+  assert.equal(editDistance("adavnced", "advanced"), 1);
+  assert.equal(editDistance("wire", "wires"), 1);
+  assert.equal(editDistance("gear", "fuse"), 4);
+});
+
+test("search ranks the exact name before prefix matches", () => {
+  assert.deepEqual(names(search(dataset, "wire")), ["Wire Spool", "Wires"]);
+  assert.deepEqual(names(search(dataset, "wires")), ["Wires", "Wire Spool"]);
+  assert.deepEqual(names(search(dataset, "mechanical components")), [
+    "Mechanical Components",
+    "Advanced Mechanical Components",
+  ]);
+});
+
+test("search still finds items by station and quest words", () => {
+  assert.deepEqual(names(search(dataset, "gear")), ["Wires"]);
+  assert.deepEqual(names(search(dataset, "rusty")), ["Battery"]);
+});
+
+test("search boosts name words over station and quest words", () => {
+  // Battery is used in the "Power Out" quest.
+  assert.deepEqual(names(search(dataset, "power")), ["Power Cable", "Battery"]);
+});
+
+test("search tolerates typos after exact and prefix matches", () => {
+  assert.deepEqual(names(search(dataset, "wries")), ["Wires"]);
+  assert.deepEqual(names(search(dataset, "mechancial")), [
+    "Mechanical Components",
+    "Advanced Mechanical Components",
+  ]);
+  assert.deepEqual(names(search(dataset, "adavnced")), [
+    "Advanced Mechanical Components",
+  ]);
+  assert.deepEqual(names(search(dataset, "cooling fanz")), ["Cooling Fans"]);
+  assert.deepEqual(search(dataset, "zzz"), []);
+});
+
+test("scoreItem needs every query word to match", () => {
+  const wires = dataset.items.find((item) => item.Name === "Wires");
+  assert.equal(scoreItem(wires, ["wires"]).rank, MATCH_EXACT);
+  assert.equal(scoreItem(wires, ["wir"]).rank, MATCH_PREFIX);
+  assert.equal(scoreItem(wires, ["wries"]).rank, MATCH_TYPO);
+  assert.equal(scoreItem(wires, ["wires", "zzz"]), null);
+});
+
+test("nameHighlights marks the matched part of each name word", () => {
+  assert.deepEqual(nameHighlights("Wire Spool", ["wir", "spool"]), [
+    [0, 3],
+    [5, 10],
+  ]);
+  assert.deepEqual(nameHighlights("Mechanical Components", ["mechancial"]), [
+    [0, 10],
+  ]);
+  assert.deepEqual(nameHighlights("Wires", ["gear"]), []);
+});
+
+test("search accepts a plain item list and caps the result count", () => {
+  assert.deepEqual(names(search(dataset.items, "wire", 1)), ["Wire Spool"]);
+  assert.deepEqual(search(dataset, ""), []);
+});
+
+test("search returns every match from an index built once per list", () => {
+  const items = Array.from({ length: 120 }, (_, i) => ({
+    Name: `Part ${i}`,
+    _normName: `part ${i}`,
+    _tokens: ["part", String(i)],
+  }));
+  assert.equal(search(items, "part").length, 120);
+  assert.equal(searchIndex(items), searchIndex(items));
+  // Prefix matches first, then typos such as "Part 101".
+  assert.deepEqual(names(search(items, "part 11")).slice(0, 12), [
+    "Part 11",
+    "Part 110",
+    "Part 111",
+    "Part 112",
+    "Part 113",
+    "Part 114",
+    "Part 115",
+    "Part 116",
+    "Part 117",
+    "Part 118",
+    "Part 119",
+    "Part 101",
+  ]);
+});
+
+test("search applies qualifiers, comparisons and exclusions", () => {
+  assert.deepEqual(names(search(dataset, "wire rarity:rare")), ["Wire Spool"]);
+  assert.deepEqual(names(search(dataset, "value>=300")), [
+    "Adrenaline Shot",
+    "Advanced Mechanical Components",
+    "Cooling Fans",
+    "Mechanical Components",
+    "Power Cable",
+    "Wire Spool",
+  ]);
+  assert.deepEqual(names(search(dataset, "wire -spool")), ["Wires"]);
+});
+
+test("parseQuery rejects malformed queries", () => {
+  assert.throws(() => parseQuery("colour:red"), /Unknown field "colour"/);
+  assert.throws(() => parseQuery("value>lots"), /needs a number/);
+  assert.throws(() => parseQuery('station:"gear'), /Missing closing quote/);
+});
+
+test("query errors carry a message key for translation", () => {
+  assert.throws(
+    () => parseQuery("weight>heavy"),
+    (error) =>
+      error instanceof QueryError &&
+      error.key === "query.needsNumber" &&
+      translate("de", error.key, error.params) ===
+        "„weight>heavy“ braucht eine Zahl, z. B. weight>0.5."
+  );
+  assert.throws(() => parseQuery("-"), { key: "query.nothingToExclude" });
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  adviseInventory,
+  parseStashText,
+  splitStack,
+  valueDensity,
+} from "../src/index.js";
+import { dataset, item } from "./helpers.js";
+
+test("parseStashText reads counts before or after the name", () => {
+  const { entries, unmatched } = parseStashText(
+    "Wires 40\n12x Battery\nCooling Fans: 1.5k\nMystery Box 3\n",
+    dataset.items
+  );
+  assert.deepEqual(
+    entries.map((entry) => [entry.item.Name, entry.count]),
+    [
+      ["Wires", 40],
+      ["Battery", 12],
+      ["Cooling Fans", 1500],
+    ]
+  );
+  assert.deepEqual(unmatched, ["Mystery Box 3"]);
+});
+
+test("splitStack separates what to keep from the surplus", () => {
+  assert.deepEqual(splitStack(10, 4, 200), {
+    held: 10,
+    keep: 4,
+    surplus: 6,
+    missing: 0,
+    surplusValue: 1200,
+  });
+  assert.equal(splitStack(2, 5, NaN).missing, 3);
+});
+
+test("valueDensity gives coins per kg and per stack slot", () => {
+  assert.deepEqual(valueDensity(item("Wires")), {
+    value: 200,
+    weight: 0.25,
+    stackSize: 15,
+    perKg: 800,
+    perSlot: 3000,
+  });
+  // Cooling Fans have no weight in the fixture; the stack size is MetaStackSize.
+  const fans = valueDensity(item("Cooling Fans"));
+  assert.equal(fans.perKg, null);
+  assert.equal(fans.perSlot, 10000);
+});
+
+test("adviseInventory keeps what is required and sells the rest", () => {
+  const required = { wires: 10, battery: 5 };
+  const { entries } = parseStashText(
+    "Wires 25\nBattery 2\nWire Spool 3\nAdrenaline Shot 4",
+    dataset.items
+  );
+  const advice = adviseInventory(entries, (it) => required[it._normName] || 0);
+  assert.deepEqual(
+    advice.keep.map((entry) => [entry.item.Name, entry.count, entry.missing]),
+    [
+      ["Battery", 2, 3],
+      ["Wires", 10, 0],
+    ]
+  );
+  // Least coins per kg first: 800/kg, 900/kg, then 1,500/kg.
+  assert.deepEqual(
+    advice.sell.map((entry) => [entry.item.Name, entry.count]),
+    [
+      ["Wires", 15],
+      ["Wire Spool", 3],
+      ["Adrenaline Shot", 4],
+    ]
+  );
+  assert.equal(advice.sellValue, 15 * 200 + 3 * 900 + 4 * 300);
+});
@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  compareByItemType,
+  compareStats,
+  statEntries,
+  statLabel,
+} from "../src/index.js";
+
+test("statLabel splits camelCase keys into words", () => {
+  assert.equal(statLabel("weight"), "Weight");
+  assert.equal(statLabel("staminaPerSecond"), "Stamina Per Second");
+  assert.equal(statLabel("increasedADSSpeed"), "Increased ADS Speed");
+});
+
+test("statEntries drops zero and blank stats", () => {
+  assert.deepEqual(
+    statEntries({
+      weight: 0.2,
+      damage: 0,
+      stackSize: 5,
+      shieldCompatibility: "",
+      ammo: null,
+    }),
+    [
+      { key: "weight", label: "Weight", value: 0.2 },
+      { key: "stackSize", label: "Stack Size", value: 5 },
+    ]
+  );
+  assert.deepEqual(statEntries(undefined), []);
+});
+
+const rifle = {
+  name: "Rifle",
+  item_type: "Weapon",
+  stat_block: { damage: 40, fireRate: 0, weight: 8, shieldCompatibility: "" },
+};
+const smg = {
+  name: "SMG",
+  item_type: "Weapon",
+  stat_block: { damage: 12, fireRate: 30, weight: 5, shieldCompatibility: "" },
+};
+const shield = {
+  name: "Light Shield",
+  item_type: "Shield",
+  stat_block: { shield: 40, weight: 5, shieldCompatibility: "Light" },
+};
+
+test("compareStats keeps stats set on any record and flags the winners", () => {
+  const rows = compareStats([rifle, smg]);
+  assert.deepEqual(
+    rows.map((row) => row.key),
+    ["damage", "weight", "fireRate"]
+  );
+  const [damage, weight, fireRate] = rows;
+  assert.deepEqual(damage.values, [40, 12]);
+  assert.deepEqual(damage.better, [true, false]);
+  assert.deepEqual(damage.worse, [false, true]);
+  // The rifle has no fire rate, so there is nothing to rank it against.
+  assert.deepEqual(fireRate.better, [false, false]);
+  // Lighter is better.
+  assert.equal(weight.lowerIsBetter, true);
+  assert.deepEqual(weight.better, [false, true]);
+});
+
+test("compareStats does not rank ties, text or a single record", () => {
+  const [weight, compat] = compareStats([
+    shield,
+    { ...shield, stat_block: { weight: 5, shieldCompatibility: "Heavy" } },
+  ]).filter((row) => row.key !== "shield");
+  assert.deepEqual(weight.better, [false, false]);
+  assert.deepEqual(compat.values, ["Light", "Heavy"]);
+  assert.deepEqual(compat.worse, [false, false]);
+  assert.deepEqual(compareStats([rifle])[0].better, [false]);
+});
+
+test("compareStats ranks only the records that have the stat", () => {
+  const [damage, useTime] = compareStats([
+    { stat_block: { damage: 10, useTime: 2 } },
+    { stat_block: { damage: 20 } },
+  ]);
+  assert.deepEqual(damage.better, [false, true]);
+  assert.deepEqual(useTime.better, [false, false]);
+  assert.deepEqual(useTime.worse, [false, false]);
+  const [weight] = compareStats([
+    { stat_block: { weight: 0 } },
+    { stat_block: { weight: 1.5 } },
+    { stat_block: { weight: 3 } },
+  ]);
+  assert.deepEqual(weight.better, [false, true, false]);
+  assert.deepEqual(weight.worse, [false, false, true]);
+});
+
+test("compareByItemType compares each item type separately", () => {
+  const groups = compareByItemType([rifle, shield, smg]);
+  assert.deepEqual(
+    groups.map((group) => [
+      group.itemType,
+      group.records.map((record) => record.name),
+    ]),
+    [
+      ["Weapon", ["Rifle", "SMG"]],
+      ["Shield", ["Light Shield"]],
+    ]
+  );
+  assert.ok(!groups[0].rows.some((row) => row.key === "shield"));
+});
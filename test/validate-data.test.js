@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { validate, validateRecipes } from "../scripts/validate-data.js";
+import { csvText, fixture, json } from "./helpers.js";
+
+const invalid = validate(fixture("invalid-items.csv"), json);
+const hasError = (errors, text) =>
+  assert.ok(
+    errors.some((error) => error.includes(text)),
+    `expected an error containing ${JSON.stringify(text)} in\n${errors.join(
+      "\n"
+    )}`
+  );
+
+test("validate passes the fixture data", () => {
+  const result = validate(csvText, json, fixture("recipes.csv"));
+  assert.deepEqual(result.errors, []);
+  assert.equal(result.itemCount > 0, true);
+});
+
+test("validate reports missing required columns and stops", () => {
+  const result = validate(
+    csvText.replace(",Quantity,", ",Amount,").replace(",Source,", ","),
+    json
+  );
+  assert.deepEqual(result.errors, [
+    'missing required column "Quantity"',
+    'missing required column "Source"',
+  ]);
+  assert.equal(result.rowCount, 0);
+});
+
+test("validate reports unknown rarities and stations", () => {
+  hasError(invalid.errors, 'row 6 (fuse_g1): unknown ArcRarity "Shiny"');
+  hasError(invalid.errors, 'row 7 (fuse_lab): unknown station "Laboratory"');
+});
+
+test("validate reports non-numeric quantities and tiers", () => {
+  hasError(invalid.errors, 'row 6 (fuse_g1): non-numeric Quantity "lots"');
+  hasError(invalid.errors, 'row 7 (fuse_lab): non-numeric Tier "one"');
+});
+
+test("validate reports duplicate rows, IDs and conflicting values", () => {
+  hasError(
+    invalid.errors,
+    'row 4 (wires_g1_copy): duplicate usage of "Wires" for Gear Bench tier 1 (also row 3 (wires_g1))'
+  );
+  hasError(
+    invalid.errors,
+    "row 5 (wires_g1): duplicate ItemID (first used in row 3 (wires_g1))"
+  );
+  hasError(
+    invalid.errors,
+    'row 5 (wires_g1): conflicting quantities for "Wires" for Gear Bench tier 1: 12 here, 10 in row 3 (wires_g1)'
+  );
+  hasError(
+    invalid.errors,
+    '"wires": conflicting rarities Uncommon (row 3 (wires_g1)), Rare (row 5 (wires_g1))'
+  );
+});
+
+test("validate compares rarities case-insensitively", () => {
+  const result = validate(
+    csvText.replace(
+      "wires_g2,Wires,1.5k,Gear Bench,2,Electrical,Technological,,Item,wires,Uncommon,",
+      "wires_g2,Wires,1.5k,Gear Bench,2,Electrical,Technological,,Item,wires,uncommon,"
+    ),
+    json
+  );
+  assert.deepEqual(result.errors, []);
+});
+
+test("validate reports short rows and empty required cells", () => {
+  hasError(
+    invalid.errors,
+    "row 8 (battery_short): has 6 columns, header has 26"
+  );
+  hasError(invalid.errors, "row 8 (battery_short): empty Source");
+});
+
+test("validate warns about names missing from items.json", () => {
+  assert.deepEqual(invalid.warnings, [
+    "2 CSV items have no items.json entry (items.json holds page 1 of 1): Fuse, Battery",
+  ]);
+});
+
+test("validateRecipes reports columns, numbers, benches and ingredients", () => {
+  const known = new Set(["wires", "battery"]);
+  const isKnown = (name) => known.has(name);
+  assert.deepEqual(
+    validateRecipes(fixture("recipes.csv"), () => true),
+    []
+  );
+  assert.deepEqual(validateRecipes("Item,Ingredient\nFuse,Wires\n", isKnown), [
+    'recipes: missing required column "Station"',
+    'recipes: missing required column "Quantity"',
+  ]);
+  assert.deepEqual(
+    validateRecipes(
+      "Item,Yield,Station,Tier,Ingredient,Quantity\n" +
+        "Fuse,1,Workbench,,Wires,two\n" +
+        "Fuse,1,Laboratory,1,Battery,1\n" +
+        "Fuse,1,Workbench,,Unobtainium,1\n",
+      isKnown
+    ),
+    [
+      'recipes row 2 (Fuse): non-numeric Quantity "two"',
+      'recipes row 3 (Fuse): unknown station "Laboratory"',
+      'recipes row 4 (Fuse): ingredient "Unobtainium" is not in items.csv or items.json',
+    ]
+  );
+});